@@ -0,0 +1,34 @@
+//replaces the sketch raycast.js sets up when the page loads, this page only has the results table
+window.onload = function (){
+  var table = document.getElementById("benchmark-results");
+  var status = document.getElementById("benchmark-status");
+  var benchmark = new Benchmark();
+  var sceneIndex = 0;
+
+  /**
+   * Add a row to the results table.
+   * @param {BenchmarkResult} result The result shown by the row.
+   */
+  var addRow = (result) => {
+    var row = table.insertRow();
+    var cells = [result.objectCount, result.index, result.buildTime.toFixed(2), result.castTime.toFixed(2), result.mismatches];
+    for(var i in cells){
+      row.insertCell().textContent = cells[i];
+    }
+  };
+
+  /**
+   * Benchmark the next scene, then give the page time to show its results before going on with the one after.
+   */
+  var runNextScene = () => {
+    if(sceneIndex >= benchmark.objectCounts.length){
+      status.textContent = "Done.";
+      return;
+    }
+    var objectCount = benchmark.objectCounts[sceneIndex];
+    sceneIndex++;
+    benchmark.runScene(objectCount).forEach(addRow);
+    window.setTimeout(runNextScene, 0);
+  };
+  window.setTimeout(runNextScene, 0);
+}
\ No newline at end of file
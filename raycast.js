@@ -16,6 +16,34 @@ class Vector2{
     this.y = y;
   }
 
+  /**
+   * Creates a vector from its serialized form.
+   * @param {Object} data Object with the x and y of the vector, like the vector itself once serialized.
+   * @returns {Vector2} The new vector.
+   */
+  static fromJSON(data){
+    return new Vector2(data.x, data.y);
+  }
+
+  /**
+   * Creates a vector pointing in a direction.
+   * @param {Number} angle Angle in radians of the direction, counterclockwise from the x axis.
+   * @param {Number} [length=1] Length of the vector.
+   * @returns {Vector2} The new vector.
+   */
+  static fromAngle(angle, length = 1){
+    return new Vector2(Math.cos(angle) * length, Math.sin(angle) * length);
+  }
+
+  /**
+   * Creates a vector from an array of its values.
+   * @param {Number[]} array Array with the x value first and the y value second.
+   * @returns {Vector2} The new vector.
+   */
+  static fromArray(array){
+    return new Vector2(array[0], array[1]);
+  }
+
   /**
    * Add a vector to this one.
    * @param {Vector2} vector Vector to add to this one.
@@ -41,14 +69,14 @@ class Vector2{
   }
 
   /**
-   * Multiply the vector by another vector.
-   * @param {Number} vector Vector to multiply with.
-   * @returns {Vector2} The product between the 2 vectors.
+   * Multiply the vector by another vector, component by component.
+   * @param {Vector2} vector Vector to multiply with.
+   * @returns {Vector2} The component-wise product between the 2 vectors.
    */
   multiplyVect(vector){
     var newVec = new Vector2();
-    newVec.x =  this.x * vector.y;
-    newVec.y = this.y * vector.x;
+    newVec.x =  this.x * vector.x;
+    newVec.y = this.y * vector.y;
     return newVec;
   }
 
@@ -79,10 +107,14 @@ class Vector2{
   /**
    * Check the equality between the two vectors.
    * @param {Vector2} vector The vector to check the equality with.
+   * @param {Number} [epsilon=0] Largest difference allowed on each dimension, the vectors must be exactly equal by default.
    * @returns {Boolean} If the 2 vectors are equal.
    */
-  equals(vector){
-    return (this.x === vector.x && this.y === vector.y);
+  equals(vector, epsilon = 0){
+    if(epsilon === 0){
+      return (this.x === vector.x && this.y === vector.y);
+    }
+    return (Math.abs(this.x - vector.x) <= epsilon && Math.abs(this.y - vector.y) <= epsilon);
   }
 
   /**
@@ -102,6 +134,104 @@ class Vector2{
     return newVec;
   }
 
+  /**
+   * Change the values of the vector.
+   * @param {Number} x Number value for the x dimension.
+   * @param {Number} y Number value for the y dimension.
+   * @returns {Vector2} This vector.
+   */
+  set(x, y){
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  /**
+   * Give the vector the values of another one.
+   * @param {Vector2} vector Vector to copy.
+   * @returns {Vector2} This vector.
+   */
+  copy(vector){
+    this.x = vector.x;
+    this.y = vector.y;
+    return this;
+  }
+
+  /**
+   * Creates a new vector with the same values.
+   * @returns {Vector2} The copy of the vector.
+   */
+  clone(){
+    return new Vector2(this.x, this.y);
+  }
+
+  /**
+   * Add a vector to this one, changing this one instead of creating a new vector.
+   * @param {Vector2} vector Vector to add to this one.
+   * @returns {Vector2} This vector.
+   */
+  addSelf(vector){
+    this.x += vector.x;
+    this.y += vector.y;
+    return this;
+  }
+
+  /**
+   * Subtract a vector from this one, changing this one instead of creating a new vector.
+   * @param {Vector2} vector Vector to subtract from this one.
+   * @returns {Vector2} This vector.
+   */
+  subSelf(vector){
+    this.x -= vector.x;
+    this.y -= vector.y;
+    return this;
+  }
+
+  /**
+   * Multiply the vector by a factor, changing it instead of creating a new vector.
+   * @param {Number} factor Factor to multiply the vector with.
+   * @returns {Vector2} This vector.
+   */
+  scaleSelf(factor){
+    this.x *= factor;
+    this.y *= factor;
+    return this;
+  }
+
+  /**
+   * Divide the vector by a divisor, changing it instead of creating a new vector.
+   * @param {Number} divisor Divisor to divide the vector with.
+   * @returns {Vector2} This vector.
+   */
+  divideSelf(divisor){
+    this.x /= divisor;
+    this.y /= divisor;
+    return this;
+  }
+
+  /**
+   * Normalize the vector, changing it instead of creating a new vector. A vector of [0,0] stays the same.
+   * @returns {Vector2} This vector.
+   */
+  normalizeSelf(){
+    if(this.x === 0 && this.y === 0){
+      return this;
+    }
+    var hyp = Math.sqrt(Math.pow(this.x, 2) + Math.pow(this.y, 2));
+    this.x /= hyp;
+    this.y /= hyp;
+    return this;
+  }
+
+  /**
+   * Dot product of 2 vectors.
+   * @param {Vector2} vector Vector to do the dot product with.
+   * @returns {Number} The dot product.
+   */
+  dotProduct(vector){
+    return this.x * vector.x + this.y * vector.y;
+  }
+
   /**
    * Cross product of 2 vectors.
    * @param {Vector2} vector Vector to do the crossproduct with.
@@ -118,52 +248,598 @@ class Vector2{
     var diff = this.sub(vector);
     return Math.sqrt(diff.x * diff.x + diff.y * diff.y);
   }
+
+  /**
+   * Rotate the vector counterclockwise around a point.
+   * @param {Number} angle Angle in radians to rotate by.
+   * @param {Vector2} [pivot] Point to rotate around, the origin by default.
+   * @returns {Vector2} The rotated vector.
+   */
+  rotate(angle, pivot = new Vector2()){
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    var diff = this.sub(pivot);
+    var newVec = new Vector2();
+    newVec.x = pivot.x + diff.x * cos - diff.y * sin;
+    newVec.y = pivot.y + diff.x * sin + diff.y * cos;
+    return newVec;
+  }
+
+  /**
+   * Dot product of 2 vectors, a shorter name for dotProduct.
+   * @param {Vector2} vector Vector to do the dot product with.
+   * @returns {Number} The dot product.
+   */
+  dot(vector){
+    return this.dotProduct(vector);
+  }
+
+  /**
+   * Calculate the length of the vector.
+   * @returns {Number} The length of the vector.
+   */
+  length(){
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+
+  /**
+   * Calculate the squared length of the vector, cheaper than the length when only comparing them.
+   * @returns {Number} The squared length of the vector.
+   */
+  lengthSquared(){
+    return this.x * this.x + this.y * this.y;
+  }
+
+  /**
+   * Calculate the squared distance between 2 vectors, cheaper than the distance when only comparing them.
+   * @param {Vector2} vector Vector to calculate the distance to.
+   * @returns {Number} The squared distance.
+   */
+  distanceSquared(vector){
+    var dx = this.x - vector.x;
+    var dy = this.y - vector.y;
+    return dx * dx + dy * dy;
+  }
+
+  /**
+   * Calculate the angle of the vector.
+   * @returns {Number} Angle in radians between -PI and PI, counterclockwise from the x axis.
+   */
+  angle(){
+    return Math.atan2(this.y, this.x);
+  }
+
+  /**
+   * Interpolate linearly between this vector and another one.
+   * @param {Vector2} vector Vector to interpolate to.
+   * @param {Number} amount Progress between the 2 vectors, 0 giving this vector and 1 the other one.
+   * @returns {Vector2} The interpolated vector.
+   */
+  lerp(vector, amount){
+    var newVec = new Vector2();
+    newVec.x = this.x + (vector.x - this.x) * amount;
+    newVec.y = this.y + (vector.y - this.y) * amount;
+    return newVec;
+  }
+
+  /**
+   * Reflect the vector about a surface.
+   * @param {Vector2} normal Normal of the surface, must be normalized.
+   * @returns {Vector2} The reflected vector.
+   */
+  reflect(normal){
+    return this.sub(normal.multiply(2 * this.dotProduct(normal)));
+  }
+
+  /**
+   * Give the vector rotated by a quarter turn counterclockwise.
+   * @returns {Vector2} The perpendicular vector.
+   */
+  perpendicular(){
+    return new Vector2(-this.y, this.x);
+  }
+
+  /**
+   * Project the vector onto another one.
+   * @param {Vector2} vector Vector to project onto. A vector of [0,0] gives [0,0].
+   * @returns {Vector2} The projected vector.
+   */
+  project(vector){
+    var lengthSquared = vector.lengthSquared();
+    if(lengthSquared === 0){
+      return new Vector2();
+    }
+    return vector.multiply(this.dotProduct(vector) / lengthSquared);
+  }
+
+  /**
+   * Give the values of the vector in an array.
+   * @returns {Number[]} Array with the x value first and the y value second.
+   */
+  toArray(){
+    return [this.x, this.y];
+  }
+}
+
+/**
+ * Pool of vectors for temporary values, reusing them instead of creating new ones.
+ * A vector given back to the pool must not be used anymore, it will be handed out again.
+ * @typedef {Object} Vector2Pool
+ * @property {Vector2[]} free Vectors waiting to be handed out.
+ */
+class Vector2Pool{
+  /**
+   * Creates a new empty pool.
+   * @returns {Vector2Pool} The new pool.
+   */
+  constructor(){
+    this.free = [];
+  }
+
+  /**
+   * Get a vector from the pool, or a new one if the pool is empty.
+   * @param {Number} [x=0] Number value for the x dimension.
+   * @param {Number} [y=0] Number value for the y dimension.
+   * @returns {Vector2} The vector.
+   */
+  get(x = 0, y = 0){
+    return this.free.length > 0 ? this.free.pop().set(x, y) : new Vector2(x, y);
+  }
+
+  /**
+   * Give vectors back to the pool.
+   * @param {...Vector2} vectors The vectors, which must not be used anymore.
+   */
+  release(...vectors){
+    for(var i = 0; i < vectors.length; i++){
+      this.free.push(vectors[i]);
+    }
+  }
+}
+
+/**
+ * Pool of the temporary vectors of the ray casting.
+ */
+const VECTOR_POOL = new Vector2Pool();
+
+/**
+ * Record of an intersection between a ray and an object of the world.
+ * @typedef {Object} Hit
+ * @property {Vector2} point Point where the ray hit the object.
+ * @property {Number} distance Distance travelled along the ray to reach the point.
+ * @property {Number} u Parameter of the point on the object (0 at the start of a segment, 1 at its end).
+ * @property {Vector2} normal Unit normal of the surface at the point, facing the ray.
+ * @property {Object} object Object that was hit.
+ * @property {Segment} [edge] Edge that was hit, for shapes made of segments.
+ * @property {Boolean} frontFace If the ray comes from outside of the object, always true for open shapes.
+ */
+class Hit{
+  /**
+   * Creates a new hit record.
+   * @param {Vector2} point Point where the ray hit the object.
+   * @param {Number} distance Distance travelled along the ray to reach the point.
+   * @param {Number} u Parameter of the point on the object.
+   * @param {Vector2} normal Unit normal of the surface at the point, facing the ray.
+   * @param {Object} object Object that was hit.
+   * @returns {Hit} The new hit record.
+   */
+  constructor(point, distance, u, normal, object){
+    this.point = point;
+    this.distance = distance;
+    this.u = u;
+    this.normal = normal;
+    this.object = object;
+    this.frontFace = true;
+  }
+}
+
+/**
+ * Axis aligned box enclosing an object, used to reject rays early.
+ * @typedef {Object} BoundingBox
+ * @property {Vector2} min Corner of the box with the smallest x and y.
+ * @property {Vector2} max Corner of the box with the biggest x and y.
+ */
+class BoundingBox{
+  /**
+   * Creates a new bounding box.
+   * @param {Vector2} min Corner of the box with the smallest x and y.
+   * @param {Vector2} max Corner of the box with the biggest x and y.
+   * @returns {BoundingBox} The new bounding box.
+   */
+  constructor(min = new Vector2(), max = new Vector2()){
+    this.min = min;
+    this.max = max;
+  }
+
+  /**
+   * Creates the smallest bounding box enclosing all the points.
+   * @param {Vector2[]} points Points to enclose.
+   * @returns {BoundingBox} The bounding box of the points.
+   */
+  static fromPoints(points){
+    var min = new Vector2(Infinity, Infinity);
+    var max = new Vector2(-Infinity, -Infinity);
+    for(var i in points){
+      min.x = Math.min(min.x, points[i].x);
+      min.y = Math.min(min.y, points[i].y);
+      max.x = Math.max(max.x, points[i].x);
+      max.y = Math.max(max.y, points[i].y);
+    }
+    return new BoundingBox(min, max);
+  }
+
+  /**
+   * Check if a point is inside the box (borders included).
+   * @param {Vector2} point The point to check.
+   * @returns {Boolean} If the point is inside the box.
+   */
+  contains(point){
+    return point.x >= this.min.x && point.x <= this.max.x && point.y >= this.min.y && point.y <= this.max.y;
+  }
+
+  /**
+   * Check if the box overlaps another one.
+   * @param {BoundingBox} box The other box.
+   * @returns {Boolean} If the 2 boxes overlap.
+   */
+  intersects(box){
+    return this.min.x <= box.max.x && this.max.x >= box.min.x && this.min.y <= box.max.y && this.max.y >= box.min.y;
+  }
+
+  /**
+   * Get the distance from a point to the closest point of the box.
+   * @param {Vector2} point The point.
+   * @returns {Number} The distance, 0 if the point is inside the box.
+   */
+  distanceToPoint(point){
+    var dx = Math.max(this.min.x - point.x, 0, point.x - this.max.x);
+    var dy = Math.max(this.min.y - point.y, 0, point.y - this.max.y);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Check if another box is entirely inside this one (borders included).
+   * @param {BoundingBox} box The other box.
+   * @returns {Boolean} If the other box is inside this one.
+   */
+  containsBox(box){
+    return this.contains(box.min) && this.contains(box.max);
+  }
+
+  /**
+   * Get the center of the box.
+   * @returns {Vector2} The point halfway between both corners.
+   */
+  getCenter(){
+    return this.min.add(this.max).divide(2);
+  }
+
+  /**
+   * Get the perimeter of the box, which is proportional to the chance a random ray crosses it.
+   * @returns {Number} The length around the box.
+   */
+  getPerimeter(){
+    return 2 * ((this.max.x - this.min.x) + (this.max.y - this.min.y));
+  }
+
+  /**
+   * Creates a copy of the box grown on every side.
+   * @param {Number} margin Distance to grow the box by, negative to shrink it.
+   * @returns {BoundingBox} The grown box.
+   */
+  expanded(margin){
+    return new BoundingBox(this.min.sub(new Vector2(margin, margin)), this.max.add(new Vector2(margin, margin)));
+  }
+
+  /**
+   * Creates the smallest bounding box enclosing this box and another one.
+   * @param {BoundingBox} box The other box.
+   * @returns {BoundingBox} The union of the 2 boxes.
+   */
+  union(box){
+    return new BoundingBox(
+      new Vector2(Math.min(this.min.x, box.min.x), Math.min(this.min.y, box.min.y)),
+      new Vector2(Math.max(this.max.x, box.max.x), Math.max(this.max.y, box.max.y))
+    );
+  }
+
+  /**
+   * Find the distance along a ray at which it enters the box (slab method).
+   * @param {Ray} ray The ray to test.
+   * @returns {(Number|Null)} Distance to the box, 0 if the ray starts inside, null if the ray misses it.
+   */
+  rayDistance(ray){
+    var tMin = 0;
+    var tMax = ray.maxDistance;
+    var axes = ["x", "y"];
+    for(var i in axes){
+      var axis = axes[i];
+      var origin = ray.startPos[axis];
+      var dir = ray.direction[axis];
+      if(dir == 0){
+        //the ray is parallel to this slab, it must already be between its sides
+        if(origin < this.min[axis] || origin > this.max[axis]){
+          return null;
+        }
+      }
+      else{
+        var t0 = (this.min[axis] - origin) / dir;
+        var t1 = (this.max[axis] - origin) / dir;
+        tMin = Math.max(tMin, Math.min(t0, t1));
+        tMax = Math.min(tMax, Math.max(t0, t1));
+        if(tMin > tMax){
+          return null;
+        }
+      }
+    }
+    return tMin;
+  }
 }
 
 /**
  * Class representing a Ray.
  * @typedef {Object} Ray 
  * @property {Vector2} startPos Vector for where the Ray will start.
- * @property {Vector2} direction Vector of the direction the Ray is going.
+ * @property {Vector2} direction Normalized vector of the direction the Ray is going.
+ * @property {Number} maxDistance Distance after which the Ray stops looking for hits.
+ * @property {Vector2} closestIntersectPoint Point where the Ray ends, either its closest hit or maxDistance away from startPos.
+ * @property {(Hit|Null)} closestHit Closest hit found so far.
+ * @property {Boolean} collectAll If every hit up to maxDistance is needed, not only the closest one.
+ * @property {Hit[]} intersectingPoints Every hit found so far, sorted from the closest to the furthest.
+ * @property {Number} depth How many times the light was reflected or refracted before this Ray.
+ * @property {Number} intensity Part of the emitted light carried by the Ray, between 0 and 1.
+ * @property {Number} travelled Distance the light travelled before this Ray started.
+ * @property {Object[]} media Closed objects the Ray is travelling inside, the innermost last.
+ * @property {(Number|Null)} wavelength Wavelength of the light in nanometers, null for white light.
+ * @property {Number[]} color RGB colour the Ray is drawn with, the colour of its wavelength or black by default.
+ * @property {(Ray|Null)} reflectedRay Ray bouncing off the closest hit, if its material is reflective.
+ * @property {(Ray|Null)} refractedRay Ray going through the closest hit, if its material is transparent.
+ * @property {(Vector2Pool|Null)} pool Pool the objects take their temporary vectors from while looking for hits of the Ray, null to create new ones.
  */
 class Ray{
   /**
    * Creates a new Ray.
    * @param {Vector2} startPos The starting point of the Ray.
    * @param {Vector2} direction The direction the ray is going.
+   * @param {Object} [options] Options of the Ray.
+   * @param {Number} [options.maxDistance=2000] Distance after which the Ray stops looking for hits.
+   * @param {Boolean} [options.collectAll=false] If every hit up to maxDistance is needed, not only the closest one. Spatial indexes stop looking past the closest hit otherwise.
+   * @param {Number} [options.depth=0] How many times the light was reflected or refracted before this Ray.
+   * @param {Number} [options.intensity=1] Part of the emitted light carried by the Ray, between 0 and 1.
+   * @param {Number} [options.travelled=0] Distance the light travelled before this Ray started.
+   * @param {Object[]} [options.media=[]] Closed objects the Ray is travelling inside, the innermost last.
+   * @param {(Number|Null)} [options.wavelength=null] Wavelength of the light in nanometers, null for white light.
+   * @param {(Number[]|Null)} [options.color=null] RGB colour the Ray is drawn with, null for the colour of its wavelength or black.
+   * @param {(Vector2Pool|Null)} [options.pool=null] Pool the objects take their temporary vectors from while looking for hits of the Ray, null to create new ones.
    * @returns {Ray} The new Ray.
    */
-  constructor(startPos = new Vector2(), direction = new Vector2(1,0)){
-    if(direction.equals(new Vector2())){
+  constructor(startPos = new Vector2(), direction = new Vector2(1,0), {maxDistance = 2000, collectAll = false, depth = 0, intensity = 1, travelled = 0, media = [], wavelength = null, color = null, pool = null} = {}){
+    if(direction.x === 0 && direction.y === 0){
       throw new Error("Ray direction cannot be [0,0]");
     }
     else{
       this.startPos = startPos;
-      this.direction = direction;
+      this.direction = direction.clone().normalizeSelf();
       this.slope = direction.y/direction.x;
-      this.maxDistance = 2000;
-      this.closestIntersectPoint = this.direction.normalized().multiply(this.maxDistance);
+      this.maxDistance = maxDistance;
+      this.closestIntersectPoint = this.direction.clone().scaleSelf(this.maxDistance).addSelf(this.startPos);
+      this.closestHit = null;
+      this.collectAll = collectAll;
       this.intersectingPoints = [];
+      this.depth = depth;
+      this.intensity = intensity;
+      this.travelled = travelled;
+      this.media = media;
+      this.wavelength = wavelength;
+      if(color !== null){
+        this.color = color;
+      }
+      else{
+        this.color = wavelength === null ? [0,0,0] : Ray.wavelengthToColor(wavelength);
+      }
+      this.reflectedRay = null;
+      this.refractedRay = null;
+      this.pool = pool;
+    }
+  }
+
+  /**
+   * Get the colour of visible light of a wavelength.
+   * Approximation from Dan Bruton : http://www.physics.sfasu.edu/astro/color/spectra.html
+   * @param {Number} wavelength Wavelength of the light in nanometers, visible between 380 and 780.
+   * @returns {Number[]} The RGB colour, each component between 0 and 255.
+   */
+  static wavelengthToColor(wavelength){
+    var r = 0, g = 0, b = 0;
+    if(wavelength >= 380 && wavelength < 440){
+      r = (440 - wavelength) / (440 - 380);
+      b = 1;
+    }
+    else if(wavelength >= 440 && wavelength < 490){
+      g = (wavelength - 440) / (490 - 440);
+      b = 1;
+    }
+    else if(wavelength >= 490 && wavelength < 510){
+      g = 1;
+      b = (510 - wavelength) / (510 - 490);
+    }
+    else if(wavelength >= 510 && wavelength < 580){
+      r = (wavelength - 510) / (580 - 510);
+      g = 1;
+    }
+    else if(wavelength >= 580 && wavelength < 645){
+      r = 1;
+      g = (645 - wavelength) / (645 - 580);
+    }
+    else if(wavelength >= 645 && wavelength <= 780){
+      r = 1;
+    }
+
+    //the eye is less sensitive at both ends of the spectrum
+    var factor = 0;
+    if(wavelength >= 380 && wavelength < 420){
+      factor = 0.3 + 0.7 * (wavelength - 380) / (420 - 380);
+    }
+    else if(wavelength >= 420 && wavelength <= 700){
+      factor = 1;
+    }
+    else if(wavelength > 700 && wavelength <= 780){
+      factor = 0.3 + 0.7 * (780 - wavelength) / (780 - 700);
+    }
+    return [Math.round(255 * r * factor), Math.round(255 * g * factor), Math.round(255 * b * factor)];
+  }
+
+  /**
+   * Get the path followed by the light, from the start of the ray through all of its reflections and refractions.
+   * @returns {PathSegment[]} The segments of the path, each one before the ones it splits into.
+   */
+  getPath(){
+    var path = [];
+    //a ray hitting something right where it starts has no length to draw
+    if(!this.startPos.equals(this.closestIntersectPoint)){
+      path.push(new PathSegment(this.startPos, this.closestIntersectPoint, this.intensity, this.color, this.travelled));
     }
+    if(this.reflectedRay !== null){
+      path = path.concat(this.reflectedRay.getPath());
+    }
+    if(this.refractedRay !== null){
+      path = path.concat(this.refractedRay.getPath());
+    }
+    return path;
   }
 
   /**
-   * Draws the ray via the sketch of a canvas.
+   * Draws the path of the ray via the sketch of a canvas, each part going from its start to its closest hit or to its max distance.
    * @param {p5} sketch Sketch to draw on.
    */
   draw(sketch){
-    sketch.line(this.startPos.x, -this.startPos.y, this.closestIntersectPoint.x, -this.closestIntersectPoint.y);
+    var path = this.getPath();
+    for(var i in path){
+      path[i].draw(sketch);
+    }
   }
 
   /**
-   * Adds an intersecting point to the ray and replaces the closest point if the point is closer.
-   * @param {Vector2} vector The new intersecting point
+   * Adds a hit to the ray and replaces the closest one if the hit is closer.
+   * Hits further than the max distance of the ray are ignored.
+   * @param {Hit} hit The new hit.
    */
-  addIntersectingPoint(vector){
-    if(this.startPos.distance(this.closestIntersectPoint) > this.startPos.distance(vector))
-      this.closestIntersectPoint = vector;
+  addIntersectingPoint(hit){
+    if(hit.distance > this.maxDistance){
+      return;
+    }
+
+    if(this.closestHit === null || hit.distance < this.closestHit.distance){
+      this.closestHit = hit;
+      this.closestIntersectPoint = hit.point;
+    }
     
-    this.intersectingPoints.push(vector);
+    //keep the hits sorted, hits at the same distance staying in the order they were added
+    var index = this.intersectingPoints.length;
+    while(index > 0 && this.intersectingPoints[index - 1].distance > hit.distance){
+      index--;
+    }
+    this.intersectingPoints.splice(index, 0, hit);
+  }
+}
+
+/**
+ * Class representing what an object is made of, deciding how the light interacts with it.
+ * @typedef {Object} Material
+ * @property {Number} opacity Part of the light that is stopped by the material, between 0 (transparent) and 1 (opaque).
+ * @property {Number} ior Index of refraction of the material.
+ * @property {(Number[]|Null)} cauchy Cauchy coefficients [A, B, C] making the index of refraction depend on the wavelength.
+ * @property {Number} reflectivity Part of the light that is reflected by the material, between 0 and 1.
+ * @property {Number[]} color RGB colour of the material, each component between 0 and 255.
+ * @property {(p5.Image|Null)} texture Image laid on the walls made of the material in the first person view.
+ * @property {Number} textureScale Length in world units covered by the width of the texture before it repeats.
+ */
+class Material{
+  /**
+   * Creates a new material.
+   * @param {Object} [options] Properties of the material.
+   * @param {Number} [options.opacity=1] Part of the light that is stopped by the material, between 0 (transparent) and 1 (opaque).
+   * @param {Number} [options.ior=1] Index of refraction of the material.
+   * @param {Number[]} [options.cauchy] Cauchy coefficients [A, B, C] (B in µm², C in µm⁴) making the index of refraction depend on the wavelength.
+   * @param {Number} [options.reflectivity=0] Part of the light that is reflected by the material, between 0 and 1.
+   * @param {Number[]} [options.color=[200,200,200]] RGB colour of the material, each component between 0 and 255.
+   * @param {(p5.Image|Null)} [options.texture=null] Image laid on the walls made of the material in the first person view.
+   * @param {Number} [options.textureScale=100] Length in world units covered by the width of the texture before it repeats.
+   * @returns {Material} The new material.
+   */
+  constructor({opacity = 1, ior = 1, cauchy = null, reflectivity = 0, color = [200,200,200], texture = null, textureScale = 100} = {}){
+    if(ior <= 0 || (cauchy !== null && cauchy[0] <= 0)){
+      throw new Error("Material index of refraction must be greater than 0");
+    }
+    else{
+      this.opacity = opacity;
+      this.ior = ior;
+      this.cauchy = cauchy;
+      this.reflectivity = reflectivity;
+      this.color = color;
+      this.texture = texture;
+      this.textureScale = textureScale;
+    }
+  }
+
+  /**
+   * Get the material of an object from the options it was created with.
+   * Objects used to take a reflective flag instead of a material, it still gives them a mirror.
+   * @param {(Material|Undefined)} material Material given in the options of the object.
+   * @param {(Boolean|Undefined)} reflective Reflective flag given in the options of the object.
+   * @returns {Material} The material of the object, opaque and matte when none is given.
+   */
+  static fromOptions(material, reflective){
+    if(material !== undefined && reflective !== undefined){
+      throw new Error("Material cannot be given along with the reflective flag, set the reflectivity of the material instead");
+    }
+    else if(material !== undefined){
+      return material;
+    }
+    else{
+      return new Material({reflectivity: reflective ? 1 : 0});
+    }
+  }
+
+  /**
+   * Get the index of refraction for light of a wavelength.
+   * With Cauchy coefficients it is A + B / λ² + C / λ⁴ (λ in µm), otherwise it is ior whatever the wavelength.
+   * @param {(Number|Null)} [wavelength=null] Wavelength of the light in nanometers, null for white light (taken as 550nm).
+   * @returns {Number} The index of refraction.
+   */
+  getIor(wavelength = null){
+    if(this.cauchy === null){
+      return this.ior;
+    }
+
+    var micrometers = (wavelength === null ? 550 : wavelength) / 1000;
+    var squared = micrometers * micrometers;
+    return this.cauchy[0] + (this.cauchy[1] || 0) / squared + (this.cauchy[2] || 0) / (squared * squared);
+  }
+
+  /**
+   * Get a plain object describing the material, which can be sent to a worker or saved as JSON.
+   * The texture is left out, images cannot be sent.
+   * @returns {Object} The serialized material.
+   */
+  toJSON(){
+    return {
+      opacity: this.opacity,
+      ior: this.ior,
+      cauchy: this.cauchy,
+      reflectivity: this.reflectivity,
+      color: this.color,
+      textureScale: this.textureScale
+    };
+  }
+
+  /**
+   * Creates a material from its serialized form.
+   * @param {Object} data The serialized material.
+   * @returns {Material} The new material, without texture.
+   */
+  static fromJSON(data){
+    return new Material(data);
   }
 }
 
@@ -172,15 +848,35 @@ class Ray{
  * @typedef {Object} Segment
  * @property {Vector2} startPos Starting point of the segment.
  * @property {Vector2} endPoint End point of the segment.
+ * @property {Material} material Material the segment is made of.
+ * @property {Number} bottom Height above the floor where the wall of the segment starts in the first person view.
+ * @property {Number} top Height above the floor where the wall of the segment ends in the first person view.
  */
 class Segment{
-  constructor(startPos = new Vector2(0,0), endPos = new Vector2(1,0)){
+  /**
+   * Creates a new segment.
+   * @param {Vector2} [startPos] Starting point of the segment.
+   * @param {Vector2} [endPos] End point of the segment.
+   * @param {Object} [options] Options of the segment.
+   * @param {Material} [options.material] Material the segment is made of, opaque and matte by default.
+   * @param {Boolean} [options.reflective] Replaced by the material, true still makes the segment a mirror.
+   * @param {Number} [options.bottom=0] Height above the floor where the wall of the segment starts in the first person view.
+   * @param {Number} [options.top=Infinity] Height above the floor where the wall of the segment ends in the first person view, Infinity going up to the ceiling.
+   * @returns {Segment} The new segment.
+   */
+  constructor(startPos = new Vector2(0,0), endPos = new Vector2(1,0), {material, reflective, bottom = 0, top = Infinity} = {}){
     if(startPos.equals(endPos)){
       throw new Error("Segment cannot have same points for start and end");
     }
+    else if(bottom >= top){
+      throw new Error("Segment bottom must be lower than its top");
+    }
     else{
       this.startPos = startPos;
       this.endPos = endPos;
+      this.material = Material.fromOptions(material, reflective);
+      this.bottom = bottom;
+      this.top = top;
       // //calculate the normal
       // let diff = this.endPos.sub(this.startPos);
       // this.normalRight = new Vector2(-diff.y, diff.x);
@@ -190,92 +886,4601 @@ class Segment{
 
   /**
    * Find the intersection between ray and itself.
+   * Solves startPos + u * (endPos - startPos) = ray.startPos + t * ray.direction for t and u.
    * Heavily inspired/taken from : https://stackoverflow.com/questions/563198/how-do-you-detect-where-two-line-segments-intersect
    * @param {Ray} ray The ray to find the intersecting point.
-   * @returns {(Vector2|Null)} Point of the intersection
+   * @returns {(Hit|Null)} Record of the intersection, null if the ray misses.
    */
   rayIntersects(ray){
-    var p = this.startPos;
-    var r = this.endPos.sub(this.startPos);
+    if(ray.pool === null){
+      return this.solveIntersection(ray, this.endPos.sub(this.startPos), this.startPos.sub(ray.startPos));
+    }
+
+    //temporaries from the pool of the ray, given back once solved
+    var r = ray.pool.get().copy(this.endPos).subSelf(this.startPos);
+    var pMq = ray.pool.get().copy(this.startPos).subSelf(ray.startPos);
+    var hit = this.solveIntersection(ray, r, pMq);
+    ray.pool.release(r, pMq);
+    return hit;
+  }
+
+  /**
+   * Solve the intersection between ray and itself, once the vectors it needs are computed.
+   * @param {Ray} ray The ray to find the intersecting point.
+   * @param {Vector2} r Vector from the start to the end of the segment.
+   * @param {Vector2} pMq Vector from the start of the ray to the start of the segment.
+   * @returns {(Hit|Null)} Record of the intersection, null if the ray misses.
+   */
+  solveIntersection(ray, r, pMq){
+    var q = ray.startPos;
+    var d = ray.direction;
+
+    //store some calculations to avoid repeating operations
+    var dXr = d.crossProduct(r);
+
+    var t, u;
+    //if the lines are parallel
+    if(dXr == 0){
+      //parallel but not collinear, they never meet
+      if(pMq.crossProduct(d) != 0){
+        return null;
+      }
+      //collinear, the hit is the closest point of the segment in front of the ray
+      var t0 = pMq.dotProduct(d);
+      var t1 = t0 + r.dotProduct(d);
+      if(t0 < 0 && t1 < 0){
+        return null;
+      }
+      t = Math.max(Math.min(t0, t1), 0);
+      u = (t - t0) / (t1 - t0);
+    }
+    //if the lines are not parallel
+    else{
+      t = pMq.crossProduct(r) / dXr;
+      u = pMq.crossProduct(d) / dXr;
+    }
+
+    //if the ray does not reach the segment
+    if(t < 0 || t > ray.maxDistance || u < 0 || u > 1){
+      return null;
+    }
+
+    var normal = r.perpendicular().normalizeSelf();
+    if(normal.dotProduct(d) > 0){
+      normal.scaleSelf(-1);
+    }
+    return new Hit(q.add(d.multiply(t)), t, u, normal, this);
+  }
+
+  /**
+   * Create the record of a hit of the segment whose point is already known, without solving the intersection again.
+   * @param {Vector2} point Point of the segment reached by the ray.
+   * @param {Number} distance Distance travelled along the ray to reach the point.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @returns {Hit} Record of the intersection.
+   */
+  getHit(point, distance, direction){
+    var r = this.endPos.sub(this.startPos);
+    var u = Math.min(Math.max(point.sub(this.startPos).dotProduct(r) / r.lengthSquared(), 0), 1);
+    var normal = r.perpendicular().normalizeSelf();
+    if(normal.dotProduct(direction) > 0){
+      normal.scaleSelf(-1);
+    }
+    return new Hit(point, distance, u, normal, this);
+  }
+
+  /**
+   * Get the length of the segment.
+   * @returns {Number} The distance between both ends.
+   */
+  getLength(){
+    return this.startPos.distance(this.endPos);
+  }
+
+  /**
+   * Get how far along the segment a hit is, to lay textures on it.
+   * @param {Hit} hit A hit of the segment.
+   * @returns {Number} Distance from the start of the segment to the hit.
+   */
+  getSurfaceDistance(hit){
+    return hit.u * this.getLength();
+  }
+
+  /**
+   * Get the points rays should be cast toward to outline the segment.
+   * @param {Vector2} origin Point the segment is seen from.
+   * @returns {Vector2[]} The 2 ends of the segment.
+   */
+  getVertices(origin){
+    return [this.startPos, this.endPos];
+  }
+
+  /**
+   * Get the box enclosing the segment.
+   * @returns {BoundingBox} The bounding box of the segment.
+   */
+  getBoundingBox(){
+    return BoundingBox.fromPoints([this.startPos, this.endPos]);
+  }
+
+  /**
+   * Get the distance from a point to the closest point of the segment.
+   * @param {Vector2} point The point.
+   * @returns {Number} The distance.
+   */
+  distanceToPoint(point){
+    var r = this.endPos.sub(this.startPos);
+    var u = Math.min(Math.max(point.sub(this.startPos).dotProduct(r) / r.dotProduct(r), 0), 1);
+    return point.distance(this.startPos.add(r.multiply(u)));
+  }
+
+  /**
+   * Get a plain object describing the segment, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized segment.
+   */
+  toJSON(){
+    return {type: "Segment", startPos: this.startPos, endPos: this.endPos, material: this.material.toJSON(), bottom: this.bottom, top: this.top};
+  }
+
+  /**
+   * Creates a segment from its serialized form.
+   * @param {Object} data The serialized segment.
+   * @returns {Segment} The new segment.
+   */
+  static fromJSON(data){
+    return new Segment(Vector2.fromJSON(data.startPos), Vector2.fromJSON(data.endPos), {
+      material: Material.fromJSON(data.material),
+      bottom: data.bottom,
+      //JSON turns Infinity into null
+      top: data.top === null ? Infinity : data.top
+    });
+  }
+
+  /**
+   * Move the segment.
+   * @param {Vector2} offset Vector to move by.
+   */
+  translate(offset){
+    this.startPos = this.startPos.add(offset);
+    this.endPos = this.endPos.add(offset);
+  }
+
+  /**
+   * Turn the segment counterclockwise around a point.
+   * @param {Number} angle Angle in radians to turn by.
+   * @param {Vector2} pivot Point to turn around.
+   */
+  rotate(angle, pivot){
+    this.startPos = this.startPos.rotate(angle, pivot);
+    this.endPos = this.endPos.rotate(angle, pivot);
+  }
+
+  /**
+   * Draw the segment via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    //Reverse to imitate a standard x,y coordinate system.
+    sketch.line(this.startPos.x, -this.startPos.y, this.endPos.x, -this.endPos.y);
+    // sketch.stroke(0,255,0);
+    // sketch.line(this.normalStart.x, -this.normalStart.y, this.normalEnd.x, -this.normalEnd.y);
+    // sketch.stroke(0,0,0);
+  }
+}
+
+/**
+ * Part of the path followed by the light, drawn fading with the intensity of the light.
+ * @typedef {Object} PathSegment
+ * @property {Vector2} startPos Starting point of the segment.
+ * @property {Vector2} endPoint End point of the segment.
+ * @property {Number} intensity Part of the emitted light going along the segment, between 0 and 1.
+ * @property {Number[]} color RGB colour of the light going along the segment.
+ * @property {Number} startDistance Distance the light travelled before reaching the start of the segment.
+ */
+class PathSegment extends Segment{
+  /**
+   * Creates a new path segment.
+   * @param {Vector2} startPos Starting point of the segment.
+   * @param {Vector2} endPos End point of the segment.
+   * @param {Number} [intensity=1] Part of the emitted light going along the segment, between 0 and 1.
+   * @param {Number[]} [color=[0,0,0]] RGB colour of the light going along the segment.
+   * @param {Number} [startDistance=0] Distance the light travelled before reaching the start of the segment.
+   * @returns {PathSegment} The new path segment.
+   */
+  constructor(startPos, endPos, intensity = 1, color = [0,0,0], startDistance = 0){
+    super(startPos, endPos);
+    this.intensity = intensity;
+    this.color = color;
+    this.startDistance = startDistance;
+  }
+
+  /**
+   * Draw the segment via the sketch of a canvas, darker and more transparent as the intensity goes down.
+   * Darkening the colour too keeps the fading when drawing with additive blending, which ignores transparency.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    var intensity = Math.min(this.intensity, 1);
+    sketch.push();
+    sketch.stroke(this.color[0] * intensity, this.color[1] * intensity, this.color[2] * intensity, intensity * 255);
+    super.draw(sketch);
+    sketch.pop();
+  }
+
+  /**
+   * Pack path segments in a typed array, which can be sent from a worker without being copied.
+   * @param {PathSegment[]} segments The segments to pack.
+   * @returns {Float32Array} PATH_STRIDE numbers per segment : its start, its end, intensity, startDistance and colour.
+   */
+  static pack(segments){
+    var array = new Float32Array(segments.length * PATH_STRIDE);
+    for(var i = 0; i < segments.length; i++){
+      var segment = segments[i];
+      array.set([
+        segment.startPos.x, segment.startPos.y, segment.endPos.x, segment.endPos.y,
+        segment.intensity, segment.startDistance, segment.color[0], segment.color[1], segment.color[2]
+      ], i * PATH_STRIDE);
+    }
+    return array;
+  }
+
+  /**
+   * Creates the path segments packed in a typed array.
+   * @param {Float32Array} array The packed segments.
+   * @returns {PathSegment[]} The segments.
+   */
+  static unpack(array){
+    var segments = [];
+    for(var i = 0; i < array.length; i += PATH_STRIDE){
+      segments.push(new PathSegment(
+        new Vector2(array[i], array[i + 1]),
+        new Vector2(array[i + 2], array[i + 3]),
+        array[i + 4],
+        [array[i + 6], array[i + 7], array[i + 8]],
+        array[i + 5]
+      ));
+    }
+    return segments;
+  }
+}
+
+/**
+ * How many numbers describe a path segment packed in a typed array.
+ */
+const PATH_STRIDE = 9;
+
+/**
+ * Object representation of a circle.
+ * @typedef {Object} Circle
+ * @property {Vector2} center Center of the circle.
+ * @property {Number} radius Radius of the circle.
+ * @property {Material} material Material the circle is made of.
+ * @property {Number} bottom Height above the floor where the wall of the circle starts in the first person view.
+ * @property {Number} top Height above the floor where the wall of the circle ends in the first person view.
+ */
+class Circle{
+  /**
+   * Creates a new circle.
+   * @param {Vector2} [center] Center of the circle.
+   * @param {Number} [radius=1] Radius of the circle.
+   * @param {Object} [options] Options of the circle.
+   * @param {Material} [options.material] Material the circle is made of, opaque and matte by default.
+   * @param {Boolean} [options.reflective] Replaced by the material, true still makes the circle a mirror.
+   * @param {Number} [options.bottom=0] Height above the floor where the wall of the circle starts in the first person view.
+   * @param {Number} [options.top=Infinity] Height above the floor where the wall of the circle ends in the first person view, Infinity going up to the ceiling.
+   * @returns {Circle} The new circle.
+   */
+  constructor(center = new Vector2(0,0), radius = 1, {material, reflective, bottom = 0, top = Infinity} = {}){
+    if(radius <= 0){
+      throw new Error("Circle radius must be greater than 0");
+    }
+    else if(bottom >= top){
+      throw new Error("Circle bottom must be lower than its top");
+    }
+    else{
+      this.center = center;
+      this.radius = radius;
+      this.material = Material.fromOptions(material, reflective);
+      this.bottom = bottom;
+      this.top = top;
+    }
+  }
+
+  /**
+   * Get the outward normal of the circle at a point of its outline.
+   * @param {Vector2} point Point on the outline of the circle.
+   * @returns {Vector2} The unit normal pointing away from the center.
+   */
+  normalAt(point){
+    return point.sub(this.center).normalized();
+  }
+
+  /**
+   * Check if a point is inside the circle.
+   * @param {Vector2} point The point to check.
+   * @returns {Boolean} If the point is inside the circle.
+   */
+  containsPoint(point){
+    return point.distance(this.center) < this.radius;
+  }
+
+  /**
+   * Find the nearest intersection between ray and the outline of the circle.
+   * Solves |ray.startPos + t * ray.direction - center| = radius for t.
+   * If the ray starts inside the circle, the hit is where it leaves it.
+   * A ray collecting all its hits also gets the point where it leaves the circle, added to it directly.
+   * @param {Ray} ray The ray to find the intersecting point.
+   * @returns {(Hit|Null)} Record of the intersection, null if the ray misses.
+   */
+  rayIntersects(ray){
+    var d = ray.direction;
+    var m = ray.startPos.sub(this.center);
+
+    var b = m.dotProduct(d);
+    var c = m.dotProduct(m) - this.radius * this.radius;
+    var discriminant = b * b - c;
+    //the line of the ray never touches the circle
+    if(discriminant < 0){
+      return null;
+    }
+
+    var root = Math.sqrt(discriminant);
+    //take the entry point, or the exit point if the ray starts inside
+    var t = -b - root;
+    if(t < 0){
+      t = -b + root;
+    }
+    if(t < 0 || t > ray.maxDistance){
+      return null;
+    }
+
+    //the exit point is seen past the entry point when the circle is lower than the walls behind it
+    var exit = -b + root;
+    if(ray.collectAll && exit > t && exit <= ray.maxDistance){
+      ray.addIntersectingPoint(this.getHit(ray.startPos.add(d.multiply(exit)), exit, d));
+    }
+    return this.getHit(ray.startPos.add(d.multiply(t)), t, d);
+  }
+
+  /**
+   * Create the record of a hit of the circle whose point is already known, without solving the intersection again.
+   * @param {Vector2} point Point of the outline reached by the ray.
+   * @param {Number} distance Distance travelled along the ray to reach the point.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @returns {Hit} Record of the intersection.
+   */
+  getHit(point, distance, direction){
+    var normal = this.normalAt(point);
+    var frontFace = normal.dotProduct(direction) <= 0;
+    if(!frontFace){
+      normal = normal.multiply(-1);
+    }
+    //u goes counterclockwise around the circle, starting from the right
+    var u = Math.atan2(point.y - this.center.y, point.x - this.center.x) / (2 * Math.PI);
+    if(u < 0){
+      u += 1;
+    }
+    var hit = new Hit(point, distance, u, normal, this);
+    hit.frontFace = frontFace;
+    return hit;
+  }
+
+  /**
+   * Get how far around the circle a hit is, to lay textures on it.
+   * @param {Hit} hit A hit of the circle.
+   * @returns {Number} Distance along the outline, counterclockwise from the rightmost point to the hit.
+   */
+  getSurfaceDistance(hit){
+    return hit.u * 2 * Math.PI * this.radius;
+  }
+
+  /**
+   * Get the points rays should be cast toward to outline the circle.
+   * @param {Vector2} origin Point the circle is seen from.
+   * @param {Number} [sampleCount=32] How many points are spread around the circle.
+   * @returns {Vector2[]} Points spread around the circle, plus where the lines from origin are tangent to it.
+   */
+  getVertices(origin, sampleCount = 32){
+    var vertices = [];
+    for(var i = 0; i < sampleCount; i++){
+      var angle = i * 2 * Math.PI / sampleCount;
+      vertices.push(this.center.add(Vector2.fromAngle(angle, this.radius)));
+    }
+
+    var toOrigin = origin.sub(this.center);
+    var distance = origin.distance(this.center);
+    //only a point outside of the circle sees its silhouette
+    if(distance > this.radius){
+      var baseAngle = toOrigin.angle();
+      var tangentAngle = Math.acos(this.radius / distance);
+      vertices.push(this.center.add(Vector2.fromAngle(baseAngle + tangentAngle, this.radius)));
+      vertices.push(this.center.add(Vector2.fromAngle(baseAngle - tangentAngle, this.radius)));
+    }
+    return vertices;
+  }
+
+  /**
+   * Get the box enclosing the circle.
+   * @returns {BoundingBox} The bounding box of the circle.
+   */
+  getBoundingBox(){
+    var extent = new Vector2(this.radius, this.radius);
+    return new BoundingBox(this.center.sub(extent), this.center.add(extent));
+  }
+
+  /**
+   * Get the distance from a point to the closest point of the outline of the circle.
+   * @param {Vector2} point The point.
+   * @returns {Number} The distance, the same from inside as from outside.
+   */
+  distanceToPoint(point){
+    return Math.abs(point.distance(this.center) - this.radius);
+  }
+
+  /**
+   * Get a plain object describing the circle, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized circle.
+   */
+  toJSON(){
+    return {type: "Circle", center: this.center, radius: this.radius, material: this.material.toJSON(), bottom: this.bottom, top: this.top};
+  }
+
+  /**
+   * Creates a circle from its serialized form.
+   * @param {Object} data The serialized circle.
+   * @returns {Circle} The new circle.
+   */
+  static fromJSON(data){
+    return new Circle(Vector2.fromJSON(data.center), data.radius, {
+      material: Material.fromJSON(data.material),
+      bottom: data.bottom,
+      //JSON turns Infinity into null
+      top: data.top === null ? Infinity : data.top
+    });
+  }
+
+  /**
+   * Move the circle.
+   * @param {Vector2} offset Vector to move by.
+   */
+  translate(offset){
+    this.center = this.center.add(offset);
+  }
+
+  /**
+   * Turn the circle counterclockwise around a point.
+   * @param {Number} angle Angle in radians to turn by.
+   * @param {Vector2} pivot Point to turn around.
+   */
+  rotate(angle, pivot){
+    this.center = this.center.rotate(angle, pivot);
+  }
+
+  /**
+   * Draw the outline of the circle via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    sketch.push();
+    sketch.noFill();
+    //Reverse to imitate a standard x,y coordinate system.
+    sketch.ellipse(this.center.x, -this.center.y, this.radius * 2, this.radius * 2);
+    sketch.pop();
+  }
+}
+
+/**
+ * Object representation of an arc of circle, going counterclockwise from startAngle to endAngle.
+ * @typedef {Object} Arc
+ * @property {Vector2} center Center of the circle the arc is part of.
+ * @property {Number} radius Radius of the circle the arc is part of.
+ * @property {Number} startAngle Angle in radians where the arc starts.
+ * @property {Number} endAngle Angle in radians where the arc ends.
+ * @property {Material} material Material the arc is made of.
+ * @property {Number} bottom Height above the floor where the wall of the arc starts in the first person view.
+ * @property {Number} top Height above the floor where the wall of the arc ends in the first person view.
+ */
+class Arc{
+  /**
+   * Creates a new arc.
+   * @param {Vector2} [center] Center of the circle the arc is part of.
+   * @param {Number} [radius=1] Radius of the circle the arc is part of.
+   * @param {Number} [startAngle=0] Angle in radians where the arc starts.
+   * @param {Number} [endAngle=Math.PI] Angle in radians where the arc ends.
+   * @param {Object} [options] Options of the arc.
+   * @param {Material} [options.material] Material the arc is made of, opaque and matte by default.
+   * @param {Boolean} [options.reflective] Replaced by the material, true still makes the arc a mirror.
+   * @param {Number} [options.bottom=0] Height above the floor where the wall of the arc starts in the first person view.
+   * @param {Number} [options.top=Infinity] Height above the floor where the wall of the arc ends in the first person view, Infinity going up to the ceiling.
+   * @returns {Arc} The new arc.
+   */
+  constructor(center = new Vector2(0,0), radius = 1, startAngle = 0, endAngle = Math.PI, {material, reflective, bottom = 0, top = Infinity} = {}){
+    if(radius <= 0){
+      throw new Error("Arc radius must be greater than 0");
+    }
+    else if(startAngle == endAngle){
+      throw new Error("Arc cannot have same angles for start and end");
+    }
+    else if(bottom >= top){
+      throw new Error("Arc bottom must be lower than its top");
+    }
+    else{
+      this.center = center;
+      this.radius = radius;
+      this.startAngle = startAngle;
+      this.endAngle = endAngle;
+      this.material = Material.fromOptions(material, reflective);
+      this.bottom = bottom;
+      this.top = top;
+    }
+  }
+
+  /**
+   * Get the angle covered by the arc.
+   * @returns {Number} The span of the arc in radians, between 0 and 2 PI.
+   */
+  getSpan(){
+    var span = (this.endAngle - this.startAngle) % (2 * Math.PI);
+    if(span <= 0){
+      span += 2 * Math.PI;
+    }
+    return span;
+  }
+
+  /**
+   * Get how far along the arc an angle is.
+   * @param {Number} angle Angle in radians to locate.
+   * @returns {Number} Angle in radians from startAngle, going counterclockwise, between 0 and 2 PI.
+   */
+  getAngleOffset(angle){
+    var offset = (angle - this.startAngle) % (2 * Math.PI);
+    if(offset < 0){
+      offset += 2 * Math.PI;
+    }
+    return offset;
+  }
+
+  /**
+   * Find the nearest intersection between ray and the arc.
+   * A ray collecting all its hits also gets the second point where it crosses the arc, added to it directly.
+   * Intersects the ray with the full circle, then keeps the nearest point inside the span of the arc.
+   * @param {Ray} ray The ray to find the intersecting point.
+   * @returns {(Hit|Null)} Record of the intersection, null if the ray misses.
+   */
+  rayIntersects(ray){
+    var d = ray.direction;
+    var m = ray.startPos.sub(this.center);
+
+    var b = m.dotProduct(d);
+    var c = m.dotProduct(m) - this.radius * this.radius;
+    var discriminant = b * b - c;
+    //the line of the ray never touches the circle
+    if(discriminant < 0){
+      return null;
+    }
+
+    var root = Math.sqrt(discriminant);
+    var span = this.getSpan();
+    var candidates = [-b - root, -b + root];
+    var closestHit = null;
+    for(var i in candidates){
+      var t = candidates[i];
+      if(t < 0 || t > ray.maxDistance){
+        continue;
+      }
+
+      var point = ray.startPos.add(d.multiply(t));
+      var offset = this.getAngleOffset(Math.atan2(point.y - this.center.y, point.x - this.center.x));
+      if(offset <= span){
+        if(closestHit === null){
+          closestHit = this.getHit(point, t, d);
+          if(!ray.collectAll){
+            break;
+          }
+        }
+        else{
+          ray.addIntersectingPoint(this.getHit(point, t, d));
+        }
+      }
+    }
+    return closestHit;
+  }
+
+  /**
+   * Create the record of a hit of the arc whose point is already known, without solving the intersection again.
+   * @param {Vector2} point Point of the arc reached by the ray.
+   * @param {Number} distance Distance travelled along the ray to reach the point.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @returns {Hit} Record of the intersection.
+   */
+  getHit(point, distance, direction){
+    var offset = this.getAngleOffset(Math.atan2(point.y - this.center.y, point.x - this.center.x));
+    //a point found elsewhere can be a rounding error past one of the ends
+    if(offset > this.getSpan()){
+      offset = offset - this.getSpan() < 2 * Math.PI - offset ? this.getSpan() : 0;
+    }
+    var normal = point.sub(this.center).normalized();
+    if(normal.dotProduct(direction) > 0){
+      normal = normal.multiply(-1);
+    }
+    return new Hit(point, distance, offset / this.getSpan(), normal, this);
+  }
+
+  /**
+   * Get how far along the arc a hit is, to lay textures on it.
+   * @param {Hit} hit A hit of the arc.
+   * @returns {Number} Distance along the arc from its start to the hit.
+   */
+  getSurfaceDistance(hit){
+    return hit.u * this.getSpan() * this.radius;
+  }
+
+  /**
+   * Get the points rays should be cast toward to outline the arc.
+   * @param {Vector2} origin Point the arc is seen from.
+   * @param {Number} [maxStep=Math.PI / 16] Maximum angle in radians between 2 points.
+   * @returns {Vector2[]} Points spread along the arc, its ends included.
+   */
+  getVertices(origin, maxStep = Math.PI / 16){
+    var span = this.getSpan();
+    var steps = Math.ceil(span / maxStep);
+    var vertices = [];
+    for(var i = 0; i <= steps; i++){
+      var angle = this.startAngle + span * i / steps;
+      vertices.push(this.center.add(Vector2.fromAngle(angle, this.radius)));
+    }
+    return vertices;
+  }
+
+  /**
+   * Get the box enclosing the arc.
+   * @returns {BoundingBox} The bounding box of the arc.
+   */
+  getBoundingBox(){
+    var span = this.getSpan();
+    var points = [];
+    var angles = [this.startAngle, this.endAngle];
+    //the extremes of the circle are part of the box when the arc goes through them
+    for(var quarter = 0; quarter < 4; quarter++){
+      if(this.getAngleOffset(quarter * Math.PI / 2) <= span){
+        angles.push(quarter * Math.PI / 2);
+      }
+    }
+    for(var i in angles){
+      points.push(this.center.add(Vector2.fromAngle(angles[i], this.radius)));
+    }
+    return BoundingBox.fromPoints(points);
+  }
+
+  /**
+   * Get the distance from a point to the closest point of the arc.
+   * @param {Vector2} point The point.
+   * @returns {Number} The distance.
+   */
+  distanceToPoint(point){
+    var diff = point.sub(this.center);
+    //in front of the arc, the closest point is on the way to the center
+    if(this.getAngleOffset(diff.angle()) <= this.getSpan()){
+      return Math.abs(point.distance(this.center) - this.radius);
+    }
+    var start = this.center.add(Vector2.fromAngle(this.startAngle, this.radius));
+    var end = this.center.add(Vector2.fromAngle(this.endAngle, this.radius));
+    return Math.min(point.distance(start), point.distance(end));
+  }
+
+  /**
+   * Get a plain object describing the arc, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized arc.
+   */
+  toJSON(){
+    return {type: "Arc", center: this.center, radius: this.radius, startAngle: this.startAngle, endAngle: this.endAngle, material: this.material.toJSON(), bottom: this.bottom, top: this.top};
+  }
+
+  /**
+   * Creates an arc from its serialized form.
+   * @param {Object} data The serialized arc.
+   * @returns {Arc} The new arc.
+   */
+  static fromJSON(data){
+    return new Arc(Vector2.fromJSON(data.center), data.radius, data.startAngle, data.endAngle, {
+      material: Material.fromJSON(data.material),
+      bottom: data.bottom,
+      //JSON turns Infinity into null
+      top: data.top === null ? Infinity : data.top
+    });
+  }
+
+  /**
+   * Move the arc.
+   * @param {Vector2} offset Vector to move by.
+   */
+  translate(offset){
+    this.center = this.center.add(offset);
+  }
+
+  /**
+   * Turn the arc counterclockwise around a point, its ends turning with it.
+   * @param {Number} angle Angle in radians to turn by.
+   * @param {Vector2} pivot Point to turn around.
+   */
+  rotate(angle, pivot){
+    this.center = this.center.rotate(angle, pivot);
+    this.startAngle += angle;
+    this.endAngle += angle;
+  }
+
+  /**
+   * Draw the arc via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    sketch.push();
+    sketch.noFill();
+    //Reverse to imitate a standard x,y coordinate system, which also mirrors the angles.
+    sketch.arc(this.center.x, -this.center.y, this.radius * 2, this.radius * 2, -this.startAngle - this.getSpan(), -this.startAngle, sketch.OPEN);
+    sketch.pop();
+  }
+}
+
+/**
+ * Object representation of a quadratic or cubic Bezier curve.
+ * @typedef {Object} BezierCurve
+ * @property {Vector2[]} points Control points of the curve, 3 for a quadratic curve, 4 for a cubic one.
+ * @property {Number} tolerance Maximum distance between the curve and the segments used to intersect it.
+ * @property {Number[]} samples Parameters of the curve where it was split into segments.
+ * @property {Segment[]} edges Segments approximating the curve.
+ * @property {Array<Number[]>} edgeRanges Parameters of the curve at the start and the end of each edge.
+ * @property {BoundingBox} boundingBox Box enclosing the segments.
+ * @property {Material} material Material the curve is made of.
+ * @property {Number} bottom Height above the floor where the wall of the curve starts in the first person view.
+ * @property {Number} top Height above the floor where the wall of the curve ends in the first person view.
+ */
+class BezierCurve{
+  /**
+   * Creates a new Bezier curve.
+   * @param {Vector2[]} points Control points of the curve, 3 for a quadratic curve, 4 for a cubic one.
+   * @param {Number} [tolerance=0.5] Maximum distance between the curve and the segments used to intersect it.
+   * @param {Object} [options] Options of the curve.
+   * @param {Material} [options.material] Material the curve is made of, opaque and matte by default.
+   * @param {Boolean} [options.reflective] Replaced by the material, true still makes the curve a mirror.
+   * @param {Number} [options.bottom=0] Height above the floor where the wall of the curve starts in the first person view.
+   * @param {Number} [options.top=Infinity] Height above the floor where the wall of the curve ends in the first person view, Infinity going up to the ceiling.
+   * @returns {BezierCurve} The new curve.
+   */
+  constructor(points = [], tolerance = 0.5, {material, reflective, bottom = 0, top = Infinity} = {}){
+    if(points.length != 3 && points.length != 4){
+      throw new Error("Bezier curve needs 3 or 4 control points");
+    }
+    else if(bottom >= top){
+      throw new Error("Bezier curve bottom must be lower than its top");
+    }
+    else{
+      this.points = points;
+      this.tolerance = tolerance;
+      this.material = Material.fromOptions(material, reflective);
+      this.bottom = bottom;
+      this.top = top;
+      this.updateEdges();
+    }
+  }
+
+  /**
+   * Get the point of the curve at a parameter.
+   * @param {Number} t Parameter of the curve, between 0 and 1.
+   * @returns {Vector2} The point of the curve.
+   */
+  pointAt(t){
+    var p = this.points;
+    var mt = 1 - t;
+    if(p.length == 3){
+      return p[0].multiply(mt * mt).add(p[1].multiply(2 * mt * t)).add(p[2].multiply(t * t));
+    }
+    return p[0].multiply(mt * mt * mt).add(p[1].multiply(3 * mt * mt * t)).add(p[2].multiply(3 * mt * t * t)).add(p[3].multiply(t * t * t));
+  }
+
+  /**
+   * Get the derivative of the curve at a parameter, tangent to the curve.
+   * @param {Number} t Parameter of the curve, between 0 and 1.
+   * @returns {Vector2} The derivative of the curve.
+   */
+  derivativeAt(t){
+    var p = this.points;
+    var mt = 1 - t;
+    if(p.length == 3){
+      return p[1].sub(p[0]).multiply(2 * mt).add(p[2].sub(p[1]).multiply(2 * t));
+    }
+    return p[1].sub(p[0]).multiply(3 * mt * mt).add(p[2].sub(p[1]).multiply(6 * mt * t)).add(p[3].sub(p[2]).multiply(3 * t * t));
+  }
+
+  /**
+   * Split the curve into segments, subdividing where it is not flat enough.
+   * Must be called again after the control points are modified.
+   */
+  updateEdges(){
+    this.samples = [0];
+    this.subdivide(0, this.pointAt(0), 1, this.pointAt(1), 0);
+
+    var points = [];
+    for(var i in this.samples){
+      points.push(this.pointAt(this.samples[i]));
+    }
+    this.edges = [];
+    this.edgeRanges = [];
+    for(var i = 0; i < points.length - 1; i++){
+      if(!points[i].equals(points[i + 1])){
+        this.edges.push(new Segment(points[i], points[i + 1]));
+        this.edgeRanges.push([this.samples[i], this.samples[i + 1]]);
+      }
+    }
+    this.boundingBox = BoundingBox.fromPoints(points);
+  }
+
+  /**
+   * Add the samples between 2 parameters of the curve, the end included.
+   * @param {Number} t0 Parameter where the part starts.
+   * @param {Vector2} p0 Point of the curve at t0.
+   * @param {Number} t1 Parameter where the part ends.
+   * @param {Vector2} p1 Point of the curve at t1.
+   * @param {Number} depth How many times the curve was already subdivided.
+   */
+  subdivide(t0, p0, t1, p1, depth){
+    var tMid = (t0 + t1) / 2;
+    var pMid = this.pointAt(tMid);
+    //always split a few times so S shaped parts are not mistaken for flat ones
+    if(depth < 12 && (depth < 2 || pMid.distance(p0.add(p1).divide(2)) > this.tolerance)){
+      this.subdivide(t0, p0, tMid, pMid, depth + 1);
+      this.subdivide(tMid, pMid, t1, p1, depth + 1);
+    }
+    else{
+      this.samples.push(t1);
+    }
+  }
+
+  /**
+   * Find the nearest intersection between ray and the curve, using its segments.
+   * A ray collecting all its hits also gets the hits of the other segments, added to it directly.
+   * @param {Ray} ray The ray to find the intersecting point.
+   * @returns {(Hit|Null)} Record of the intersection with u being the parameter of the curve, null if the ray misses.
+   */
+  rayIntersects(ray){
+    if(this.boundingBox.rayDistance(ray) === null){
+      return null;
+    }
+
+    var closestHit = null;
+    var closestIndex = -1;
+    for(var i = 0; i < this.edges.length; i++){
+      var hit = this.edges[i].rayIntersects(ray);
+      if(hit === null){
+        continue;
+      }
+      if(closestHit === null || hit.distance < closestHit.distance){
+        if(closestHit !== null && ray.collectAll){
+          ray.addIntersectingPoint(this.completeEdgeHit(closestHit, closestIndex, ray.direction));
+        }
+        closestHit = hit;
+        closestIndex = i;
+      }
+      else if(ray.collectAll){
+        ray.addIntersectingPoint(this.completeEdgeHit(hit, i, ray.direction));
+      }
+    }
+    if(closestHit === null){
+      return null;
+    }
+    return this.completeEdgeHit(closestHit, closestIndex, ray.direction);
+  }
+
+  /**
+   * Turn the hit of one of the segments of the curve into a hit of the curve, with the normal and the parameter of the curve.
+   * @param {Hit} hit The hit of the segment.
+   * @param {Number} edgeIndex Index of the segment in the edges.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @returns {Hit} The same hit, now of the curve.
+   */
+  completeEdgeHit(hit, edgeIndex, direction){
+    var range = this.edgeRanges[edgeIndex];
+    var t = range[0] + (range[1] - range[0]) * hit.u;
+    var tangent = this.derivativeAt(t);
+    //the tangent vanishes at cusps, keep the normal of the segment there
+    if(!tangent.equals(new Vector2())){
+      hit.normal = tangent.perpendicular().normalized();
+      if(hit.normal.dotProduct(direction) > 0){
+        hit.normal = hit.normal.multiply(-1);
+      }
+    }
+    hit.u = t;
+    hit.edge = hit.object;
+    hit.object = this;
+    return hit;
+  }
+
+  /**
+   * Create the record of a hit of the curve whose point and segment are already known, without solving the intersection again.
+   * @param {Vector2} point Point of the curve reached by the ray.
+   * @param {Number} distance Distance travelled along the ray to reach the point.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @param {Number} edgeIndex Index of the segment of the curve the point is on.
+   * @returns {Hit} Record of the intersection.
+   */
+  getHit(point, distance, direction, edgeIndex){
+    return this.completeEdgeHit(this.edges[edgeIndex].getHit(point, distance, direction), edgeIndex, direction);
+  }
+
+  /**
+   * Get how far along the curve a hit is, to lay textures on it.
+   * @param {Hit} hit A hit of the curve.
+   * @returns {Number} Distance along the segments approximating the curve, from its start to the hit.
+   */
+  getSurfaceDistance(hit){
+    var distance = 0;
+    for(var i in this.edges){
+      var range = this.edgeRanges[i];
+      var length = this.edges[i].getLength();
+      if(hit.u <= range[1]){
+        return distance + length * (hit.u - range[0]) / (range[1] - range[0]);
+      }
+      distance += length;
+    }
+    return distance;
+  }
+
+  /**
+   * Get the points rays should be cast toward to outline the curve.
+   * @param {Vector2} origin Point the curve is seen from.
+   * @returns {Vector2[]} The ends of the segments approximating the curve.
+   */
+  getVertices(origin){
+    var vertices = [];
+    for(var i in this.edges){
+      vertices.push(this.edges[i].startPos);
+    }
+    vertices.push(this.edges[this.edges.length - 1].endPos);
+    return vertices;
+  }
+
+  /**
+   * Get the box enclosing the curve.
+   * @returns {BoundingBox} The bounding box of the curve.
+   */
+  getBoundingBox(){
+    return this.boundingBox;
+  }
+
+  /**
+   * Get the distance from a point to the closest point of the curve, approximated by its edges.
+   * @param {Vector2} point The point.
+   * @returns {Number} The distance.
+   */
+  distanceToPoint(point){
+    return Math.min(...this.edges.map((edge) => edge.distanceToPoint(point)));
+  }
+
+  /**
+   * Get a plain object describing the curve, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized curve.
+   */
+  toJSON(){
+    return {type: "BezierCurve", points: this.points, tolerance: this.tolerance, material: this.material.toJSON(), bottom: this.bottom, top: this.top};
+  }
+
+  /**
+   * Creates a curve from its serialized form.
+   * @param {Object} data The serialized curve.
+   * @returns {BezierCurve} The new curve.
+   */
+  static fromJSON(data){
+    return new BezierCurve(data.points.map((point) => Vector2.fromJSON(point)), data.tolerance, {
+      material: Material.fromJSON(data.material),
+      bottom: data.bottom,
+      //JSON turns Infinity into null
+      top: data.top === null ? Infinity : data.top
+    });
+  }
+
+  /**
+   * Move the curve.
+   * @param {Vector2} offset Vector to move by.
+   */
+  translate(offset){
+    this.points = this.points.map((point) => point.add(offset));
+    this.updateEdges();
+  }
+
+  /**
+   * Turn the curve counterclockwise around a point.
+   * @param {Number} angle Angle in radians to turn by.
+   * @param {Vector2} pivot Point to turn around.
+   */
+  rotate(angle, pivot){
+    this.points = this.points.map((point) => point.rotate(angle, pivot));
+    this.updateEdges();
+  }
+
+  /**
+   * Draw the curve via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    var p = this.points;
+    //p5 only draws cubic curves, a quadratic one is the cubic with these control points
+    var c1 = p.length == 3 ? p[0].add(p[1].sub(p[0]).multiply(2 / 3)) : p[1];
+    var c2 = p.length == 3 ? p[2].add(p[1].sub(p[2]).multiply(2 / 3)) : p[2];
+    var end = p[p.length - 1];
+    sketch.push();
+    sketch.noFill();
+    //Reverse to imitate a standard x,y coordinate system.
+    sketch.bezier(p[0].x, -p[0].y, c1.x, -c1.y, c2.x, -c2.y, end.x, -end.y);
+    sketch.pop();
+  }
+}
+
+/**
+ * Object representation of an open chain of segments.
+ * @typedef {Object} Polyline
+ * @property {Vector2[]} points Points the chain goes through, in order.
+ * @property {Segment[]} edges Segments between each consecutive points.
+ * @property {BoundingBox} boundingBox Box enclosing every point.
+ * @property {Material} material Material the polyline is made of.
+ * @property {Number} bottom Height above the floor where the walls of the polyline start in the first person view.
+ * @property {Number} top Height above the floor where the walls of the polyline end in the first person view.
+ */
+class Polyline{
+  /**
+   * Creates a new polyline.
+   * @param {Vector2[]} points Points the chain goes through, in order.
+   * @param {Boolean} [closed=false] If an edge links the last point back to the first one.
+   * @param {Object} [options] Options of the polyline.
+   * @param {Material} [options.material] Material the polyline is made of, opaque and matte by default.
+   * @param {Boolean} [options.reflective] Replaced by the material, true still makes the polyline a mirror.
+   * @param {Number} [options.bottom=0] Height above the floor where the walls of the polyline start in the first person view.
+   * @param {Number} [options.top=Infinity] Height above the floor where the walls of the polyline end in the first person view, Infinity going up to the ceiling.
+   * @returns {Polyline} The new polyline.
+   */
+  constructor(points = [], closed = false, {material, reflective, bottom = 0, top = Infinity} = {}){
+    if(points.length < 2){
+      throw new Error("Polyline needs at least 2 points");
+    }
+    else if(bottom >= top){
+      throw new Error("Polyline bottom must be lower than its top");
+    }
+    else{
+      this.points = points;
+      this.closed = closed;
+      this.material = Material.fromOptions(material, reflective);
+      this.bottom = bottom;
+      this.top = top;
+      this.updateEdges();
+    }
+  }
+
+  /**
+   * Generate the edges and the bounding box from the points.
+   * Must be called again after the points are modified.
+   */
+  updateEdges(){
+    var edgeCount = this.closed ? this.points.length : this.points.length - 1;
+    this.edges = [];
+    for(var i = 0; i < edgeCount; i++){
+      this.edges.push(new Segment(this.points[i], this.points[(i + 1) % this.points.length]));
+    }
+    this.boundingBox = BoundingBox.fromPoints(this.points);
+  }
+
+  /**
+   * Find the nearest intersection between ray and the edges.
+   * A ray collecting all its hits also gets the hits of the other edges, added to it directly.
+   * @param {Ray} ray The ray to find the intersecting point.
+   * @returns {(Hit|Null)} Record of the intersection, null if the ray misses.
+   */
+  rayIntersects(ray){
+    if(this.boundingBox.rayDistance(ray) === null){
+      return null;
+    }
+
+    var closestHit = null;
+    var closestIndex = -1;
+    for(var i = 0; i < this.edges.length; i++){
+      var hit = this.edges[i].rayIntersects(ray);
+      if(hit === null){
+        continue;
+      }
+      if(closestHit === null || hit.distance < closestHit.distance){
+        if(closestHit !== null && ray.collectAll){
+          ray.addIntersectingPoint(this.completeEdgeHit(closestHit, closestIndex, ray.direction));
+        }
+        closestHit = hit;
+        closestIndex = i;
+      }
+      else if(ray.collectAll){
+        ray.addIntersectingPoint(this.completeEdgeHit(hit, i, ray.direction));
+      }
+    }
+    if(closestHit === null){
+      return null;
+    }
+    return this.completeEdgeHit(closestHit, closestIndex, ray.direction);
+  }
+
+  /**
+   * Turn the hit of one of the edges into a hit of the polyline.
+   * @param {Hit} hit The hit of the edge.
+   * @param {Number} edgeIndex Index of the edge in the edges.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @returns {Hit} The same hit, now of the polyline.
+   */
+  completeEdgeHit(hit, edgeIndex, direction){
+    hit.edge = hit.object;
+    hit.object = this;
+    return hit;
+  }
+
+  /**
+   * Create the record of a hit of the polyline whose point and edge are already known, without solving the intersection again.
+   * @param {Vector2} point Point of the polyline reached by the ray.
+   * @param {Number} distance Distance travelled along the ray to reach the point.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @param {Number} edgeIndex Index of the edge the point is on.
+   * @returns {Hit} Record of the intersection.
+   */
+  getHit(point, distance, direction, edgeIndex){
+    return this.completeEdgeHit(this.edges[edgeIndex].getHit(point, distance, direction), edgeIndex, direction);
+  }
+
+  /**
+   * Get how far along its edge a hit is, to lay textures on it. Each edge starts the texture over.
+   * @param {Hit} hit A hit of the polyline.
+   * @returns {Number} Distance from the start of the edge that was hit to the hit.
+   */
+  getSurfaceDistance(hit){
+    return hit.edge.getSurfaceDistance(hit);
+  }
+
+  /**
+   * Get the points rays should be cast toward to outline the polyline.
+   * @param {Vector2} origin Point the polyline is seen from.
+   * @returns {Vector2[]} The points of the polyline.
+   */
+  getVertices(origin){
+    return this.points;
+  }
+
+  /**
+   * Get the box enclosing the polyline.
+   * @returns {BoundingBox} The bounding box of the polyline.
+   */
+  getBoundingBox(){
+    return this.boundingBox;
+  }
+
+  /**
+   * Get the distance from a point to the closest edge.
+   * @param {Vector2} point The point.
+   * @returns {Number} The distance, to the outline for polygons even from inside.
+   */
+  distanceToPoint(point){
+    return Math.min(...this.edges.map((edge) => edge.distanceToPoint(point)));
+  }
+
+  /**
+   * Get a plain object describing the polyline, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized polyline.
+   */
+  toJSON(){
+    return {type: "Polyline", points: this.points, closed: this.closed, material: this.material.toJSON(), bottom: this.bottom, top: this.top};
+  }
+
+  /**
+   * Creates a polyline from its serialized form.
+   * @param {Object} data The serialized polyline.
+   * @returns {Polyline} The new polyline.
+   */
+  static fromJSON(data){
+    return new Polyline(data.points.map((point) => Vector2.fromJSON(point)), data.closed, {
+      material: Material.fromJSON(data.material),
+      bottom: data.bottom,
+      //JSON turns Infinity into null
+      top: data.top === null ? Infinity : data.top
+    });
+  }
+
+  /**
+   * Move the polyline.
+   * @param {Vector2} offset Vector to move by.
+   */
+  translate(offset){
+    this.points = this.points.map((point) => point.add(offset));
+    this.updateEdges();
+  }
+
+  /**
+   * Turn the polyline counterclockwise around a point.
+   * @param {Number} angle Angle in radians to turn by.
+   * @param {Vector2} pivot Point to turn around.
+   */
+  rotate(angle, pivot){
+    this.points = this.points.map((point) => point.rotate(angle, pivot));
+    this.updateEdges();
+  }
+
+  /**
+   * Draw the edges via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    for(var i in this.edges){
+      this.edges[i].draw(sketch);
+    }
+  }
+}
+
+/**
+ * Object representation of a closed polygon.
+ * @typedef {Object} Polygon
+ * @property {Vector2[]} points Vertices of the polygon, in order.
+ * @property {Segment[]} edges Segments between each consecutive vertices, the last one closing the polygon.
+ * @property {BoundingBox} boundingBox Box enclosing every vertex.
+ * @property {Boolean} clockwise If the vertices go clockwise.
+ * @property {Material} material Material the polygon is made of.
+ */
+class Polygon extends Polyline{
+  /**
+   * Creates a new polygon.
+   * @param {Vector2[]} points Vertices of the polygon, in order.
+   * @param {Object} [options] Options of the polygon.
+   * @param {Material} [options.material] Material the polygon is made of, opaque and matte by default.
+   * @param {Boolean} [options.reflective] Replaced by the material, true still makes the polygon a mirror.
+   * @param {Number} [options.bottom=0] Height above the floor where the walls of the polygon start in the first person view.
+   * @param {Number} [options.top=Infinity] Height above the floor where the walls of the polygon end in the first person view, Infinity going up to the ceiling.
+   * @returns {Polygon} The new polygon.
+   */
+  constructor(points = [], options = {}){
+    if(points.length < 3){
+      throw new Error("Polygon needs at least 3 points");
+    }
+    else{
+      super(points, true, options);
+    }
+  }
+
+  /**
+   * Generate the edges and the bounding box from the vertices, and remember their winding order.
+   * Must be called again after the vertices are modified.
+   */
+  updateEdges(){
+    super.updateEdges();
+    this.clockwise = this.isClockwise();
+  }
+
+  /**
+   * Turn the hit of one of the edges into a hit of the polygon, telling if the ray comes from outside.
+   * @param {Hit} hit The hit of the edge.
+   * @param {Number} edgeIndex Index of the edge in the edges.
+   * @param {Vector2} direction Unit direction of the ray.
+   * @returns {Hit} The same hit, now of the polygon.
+   */
+  completeEdgeHit(hit, edgeIndex, direction){
+    super.completeEdgeHit(hit, edgeIndex, direction);
+    //the right side of the edges is outside for counterclockwise vertices
+    var r = hit.edge.endPos.sub(hit.edge.startPos);
+    var outwardNormal = this.clockwise ? r.perpendicular() : r.perpendicular().multiply(-1);
+    hit.frontFace = outwardNormal.dotProduct(direction) <= 0;
+    return hit;
+  }
+
+  /**
+   * Get a plain object describing the polygon, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized polygon.
+   */
+  toJSON(){
+    var data = super.toJSON();
+    data.type = "Polygon";
+    delete data.closed;
+    return data;
+  }
+
+  /**
+   * Creates a polygon from its serialized form.
+   * @param {Object} data The serialized polygon.
+   * @returns {Polygon} The new polygon.
+   */
+  static fromJSON(data){
+    return new Polygon(data.points.map((point) => Vector2.fromJSON(point)), {
+      material: Material.fromJSON(data.material),
+      bottom: data.bottom,
+      //JSON turns Infinity into null
+      top: data.top === null ? Infinity : data.top
+    });
+  }
+
+  /**
+   * Calculate the signed area of the polygon (shoelace formula).
+   * @returns {Number} The area, positive if the vertices go counterclockwise, negative if clockwise.
+   */
+  getSignedArea(){
+    var area = 0;
+    for(var i in this.edges){
+      area += this.edges[i].startPos.crossProduct(this.edges[i].endPos);
+    }
+    return area / 2;
+  }
+
+  /**
+   * Check the winding order of the vertices.
+   * @returns {Boolean} If the vertices go clockwise.
+   */
+  isClockwise(){
+    return this.getSignedArea() < 0;
+  }
+
+  /**
+   * Reverse the winding order of the vertices.
+   */
+  reverse(){
+    this.points.reverse();
+    this.updateEdges();
+  }
+
+  /**
+   * Fill the polygon as a fan of triangles around a center that sees every vertex, like the origin of a visibility polygon.
+   * Unlike a plain shape, the fan stays correct for concave polygons.
+   * @param {p5} sketch The sketch to draw on.
+   * @param {Vector2} center Point inside the polygon seeing every vertex.
+   * @param {Function} [colorAt] Function giving the RGB fill colour at a point, blended between the vertices. Uses the current fill if omitted.
+   */
+  drawFan(sketch, center, colorAt = null){
+    var fanPoints = [center].concat(this.points, [this.points[0]]);
+    //Reverse to imitate a standard x,y coordinate system.
+    sketch.beginShape(sketch.TRIANGLE_FAN);
+    for(var i in fanPoints){
+      if(colorAt !== null){
+        var color = colorAt(fanPoints[i]);
+        sketch.fill(color[0], color[1], color[2]);
+      }
+      sketch.vertex(fanPoints[i].x, -fanPoints[i].y);
+    }
+    sketch.endShape();
+  }
+
+  /**
+   * Check if a point is inside the polygon (even-odd rule).
+   * @param {Vector2} point The point to check.
+   * @returns {Boolean} If the point is inside the polygon.
+   */
+  containsPoint(point){
+    if(!this.boundingBox.contains(point)){
+      return false;
+    }
+
+    var inside = false;
+    for(var i in this.edges){
+      var a = this.edges[i].startPos;
+      var b = this.edges[i].endPos;
+      //count the edges crossed by a horizontal line going right from the point
+      if((a.y > point.y) != (b.y > point.y)){
+        var crossingX = a.x + (point.y - a.y) / (b.y - a.y) * (b.x - a.x);
+        if(point.x < crossingX){
+          inside = !inside;
+        }
+      }
+    }
+    return inside;
+  }
+}
+
+/**
+ * Class representing a point light emitting rays over a range of angles.
+ * @typedef {Object} LightSource
+ * @property {Vector2} position Where the light is.
+ * @property {Number[]} color RGB colour of the light, each component between 0 and 255.
+ * @property {Number} intensity Brightness of the light, between 0 and 1.
+ * @property {Number} startAngle Angle in radians where the light starts, going counterclockwise.
+ * @property {Number} endAngle Angle in radians where the light ends.
+ * @property {Number} rayCount How many rays are emitted over the range of angles.
+ * @property {Number} maxDistance How far the rays go.
+ * @property {Number} range Distance at which the light has completely faded, 0 for a light that does not fade.
+ * @property {(Number[]|Null)} wavelengths Wavelengths emitted in every direction in nanometers, null for white light.
+ */
+class LightSource{
+  /**
+   * Creates a new light.
+   * @param {Vector2} [position] Where the light is.
+   * @param {Object} [options] Options of the light.
+   * @param {Number[]} [options.color=[255,255,255]] RGB colour of the light, each component between 0 and 255.
+   * @param {Number} [options.intensity=1] Brightness of the light, between 0 and 1.
+   * @param {Number} [options.startAngle=0] Angle in radians where the light starts, going counterclockwise.
+   * @param {Number} [options.endAngle=2*Math.PI] Angle in radians where the light ends.
+   * @param {Number} [options.rayCount=360] How many rays are emitted over the range of angles.
+   * @param {Number} [options.maxDistance=2000] How far the rays go.
+   * @param {Number} [options.range=0] Distance at which the light has completely faded, 0 for a light that does not fade.
+   * @param {(Number[]|Null)} [options.wavelengths=null] Wavelengths emitted in every direction in nanometers, null for white light.
+   * @returns {LightSource} The new light.
+   */
+  constructor(position = new Vector2(), {color = [255,255,255], intensity = 1, startAngle = 0, endAngle = 2 * Math.PI, rayCount = 360, maxDistance = 2000, range = 0, wavelengths = null} = {}){
+    if(rayCount < 1){
+      throw new Error("Light must emit at least 1 ray");
+    }
+    else if(endAngle <= startAngle){
+      throw new Error("Light end angle must be greater than its start angle");
+    }
+    else{
+      this.position = position;
+      this.color = color;
+      this.intensity = intensity;
+      this.startAngle = startAngle;
+      this.endAngle = endAngle;
+      this.rayCount = rayCount;
+      this.maxDistance = maxDistance;
+      this.range = range;
+      this.wavelengths = wavelengths;
+    }
+  }
+
+  /**
+   * Get how much of the light is left after travelling some distance.
+   * @param {Number} distance Distance travelled by the light.
+   * @returns {Number} The remaining part of the light, between 0 and 1, fading quadratically until range.
+   */
+  getDistanceFactor(distance){
+    if(this.range <= 0){
+      return 1;
+    }
+    var left = 1 - Math.min(distance / this.range, 1);
+    return left * left;
+  }
+
+  /**
+   * Get the intensity of the light in a direction, after travelling some distance.
+   * @param {Number} angle Angle in radians of the direction.
+   * @param {Number} distance Distance travelled by the light.
+   * @returns {Number} The intensity, between 0 and 1.
+   */
+  getIntensity(angle, distance){
+    return this.intensity * this.getDistanceFactor(distance);
+  }
+
+  /**
+   * Get the directions the rays are emitted toward, evenly spread over the range of angles.
+   * @returns {Vector2[]} The unit directions.
+   */
+  getDirections(){
+    var span = Math.min(this.endAngle - this.startAngle, 2 * Math.PI);
+    //a full turn would emit twice in the same direction at both ends
+    var step = span >= 2 * Math.PI ? span / this.rayCount : span / Math.max(this.rayCount - 1, 1);
+    var directions = [];
+    for(var i = 0; i < this.rayCount; i++){
+      var angle = this.startAngle + i * step;
+      directions.push(Vector2.fromAngle(angle));
+    }
+    return directions;
+  }
+
+  /**
+   * Get the points the rays are emitted from.
+   * @param {Number} count How many points are needed.
+   * @returns {Vector2[]} The points, all at the position of a point light.
+   */
+  getSampleOrigins(count){
+    var origins = [];
+    for(var i = 0; i < count; i++){
+      origins.push(this.position);
+    }
+    return origins;
+  }
+
+  /**
+   * Cast the rays of the light in a world.
+   * @param {World} world The world to cast the rays in.
+   * @returns {Ray[]} The cast rays, one per direction and wavelength.
+   */
+  castRays(world){
+    var directions = this.getDirections();
+    var origins = this.getSampleOrigins(directions.length);
+    var emitted = this.wavelengths === null ? [null] : this.wavelengths;
+    var rays = [];
+    for(var i in directions){
+      for(var w in emitted){
+        var ray = new Ray(origins[i], directions[i], {
+          maxDistance: this.maxDistance,
+          intensity: this.getIntensity(directions[i].angle(), 0),
+          wavelength: emitted[w],
+          color: emitted[w] === null ? this.color : null,
+          pool: VECTOR_POOL
+        });
+        world.castRay(ray);
+        rays.push(ray);
+      }
+    }
+    return rays;
+  }
+
+  /**
+   * Compute the area lit by the light in a world.
+   * @param {World} world The world the light shines in.
+   * @returns {(Polygon|Null)} The lit area, null if the light lights no area.
+   */
+  computeLitArea(world){
+    return world.computeVisibilityPolygon(this.position, {
+      maxDistance: this.maxDistance,
+      startAngle: this.startAngle,
+      endAngle: this.endAngle
+    });
+  }
+
+  /**
+   * Draw the path of every ray of the light via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   * @param {World} world The world the light shines in.
+   */
+  drawRays(sketch, world){
+    var rays = this.castRays(world);
+    for(var i in rays){
+      this.drawPaths(sketch, rays[i].getPath());
+    }
+  }
+
+  /**
+   * Cast the rays of the light in a world and pack their paths, to send them from a worker.
+   * @param {World} world The world to cast the rays in.
+   * @returns {Float32Array} The paths of every ray, packed by PathSegment.pack.
+   */
+  castPaths(world){
+    var rays = this.castRays(world);
+    var paths = [];
+    for(var i in rays){
+      paths = paths.concat(rays[i].getPath());
+    }
+    return PathSegment.pack(paths);
+  }
+
+  /**
+   * Draw path segments of rays of the light via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   * @param {PathSegment[]} path The segments to draw.
+   */
+  drawPaths(sketch, path){
+    for(var i in path){
+      this.drawPathSegment(sketch, path[i]);
+    }
+  }
+
+  /**
+   * Draw a part of the path of a ray, fading with the distance the light travelled.
+   * @param {p5} sketch The sketch to draw on.
+   * @param {PathSegment} segment The part of the path to draw.
+   */
+  drawPathSegment(sketch, segment){
+    if(this.range <= 0){
+      segment.draw(sketch);
+      return;
+    }
+
+    //a line has a single colour, so it is drawn in pieces getting dimmer
+    var length = segment.startPos.distance(segment.endPos);
+    var pieces = Math.ceil(length * 16 / this.range);
+    for(var k = 0; k < pieces; k++){
+      var middleDistance = segment.startDistance + length * (k + 0.5) / pieces;
+      var intensity = segment.intensity * this.getDistanceFactor(middleDistance);
+      if(intensity <= 0){
+        break;
+      }
+      var from = segment.startPos.add(segment.endPos.sub(segment.startPos).multiply(k / pieces));
+      var to = segment.startPos.add(segment.endPos.sub(segment.startPos).multiply((k + 1) / pieces));
+      new PathSegment(from, to, intensity, segment.color, middleDistance).draw(sketch);
+    }
+  }
+
+  /**
+   * Fill the area lit by the light via the sketch of a canvas, with the colour of the light scaled by its intensity.
+   * @param {p5} sketch The sketch to draw on.
+   * @param {World} world The world the light shines in.
+   */
+  drawLitArea(sketch, world){
+    var litArea = this.computeLitArea(world);
+    if(litArea === null){
+      return;
+    }
+    sketch.push();
+    sketch.noStroke();
+    litArea.drawFan(sketch, this.position, (point) => {
+      var intensity = this.intensity;
+      //the light itself is at full intensity, whatever its direction
+      if(!point.equals(this.position)){
+        intensity = this.getIntensity(point.sub(this.position).angle(), point.distance(this.position));
+      }
+      return [this.color[0] * intensity, this.color[1] * intensity, this.color[2] * intensity];
+    });
+    sketch.pop();
+  }
+
+  /**
+   * Get a plain object describing the light, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized light.
+   */
+  toJSON(){
+    return {
+      type: "LightSource",
+      position: this.position,
+      color: this.color,
+      intensity: this.intensity,
+      startAngle: this.startAngle,
+      endAngle: this.endAngle,
+      rayCount: this.rayCount,
+      maxDistance: this.maxDistance,
+      range: this.range,
+      wavelengths: this.wavelengths
+    };
+  }
+
+  /**
+   * Creates a light from its serialized form, of the class it was serialized from.
+   * @param {Object} data The serialized light.
+   * @returns {LightSource} The new light.
+   */
+  static fromJSON(data){
+    var types = {LightSource: LightSource, SpotLight: SpotLight, AreaLight: AreaLight};
+    if(types[data.type] === undefined){
+      throw new Error("Unknown light type " + data.type);
+    }
+    else{
+      return new types[data.type](Vector2.fromJSON(data.position), data);
+    }
+  }
+
+  /**
+   * Draw a marker where the light is via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    sketch.push();
+    sketch.stroke(255);
+    sketch.fill(this.color[0], this.color[1], this.color[2]);
+    //Reverse to imitate a standard x,y coordinate system.
+    sketch.ellipse(this.position.x, -this.position.y, 10, 10);
+    sketch.pop();
+  }
+}
+
+/**
+ * Class representing a light emitting rays in a cone, like a flashlight.
+ * @typedef {Object} SpotLight
+ * @property {Number} heading Angle in radians the light is pointing toward.
+ * @property {Number} fov Angle in radians covered by the cone.
+ * @property {Number} falloff Part of the half cone, from its edges, over which the light fades out, between 0 and 1.
+ */
+class SpotLight extends LightSource{
+  /**
+   * Creates a new spotlight.
+   * Takes the options of a LightSource, except startAngle and endAngle which follow the heading.
+   * @param {Vector2} [position] Where the light is.
+   * @param {Object} [options] Options of the light.
+   * @param {Number} [options.heading=0] Angle in radians the light is pointing toward.
+   * @param {Number} [options.fov=Math.PI/3] Angle in radians covered by the cone.
+   * @param {Number} [options.falloff=0.2] Part of the half cone, from its edges, over which the light fades out, between 0 and 1.
+   * @returns {SpotLight} The new spotlight.
+   */
+  constructor(position = new Vector2(), options = {}){
+    super(position, options);
+    var {heading = 0, fov = Math.PI / 3, falloff = 0.2} = options;
+    if(fov <= 0 || fov > 2 * Math.PI){
+      throw new Error("Spotlight field of view must be between 0 and 2 PI");
+    }
+    else{
+      this.fov = fov;
+      this.falloff = falloff;
+      this.setHeading(heading);
+    }
+  }
+
+  /**
+   * Point the light toward an angle, moving its cone with it.
+   * @param {Number} heading Angle in radians to point toward.
+   */
+  setHeading(heading){
+    this.heading = heading;
+    this.startAngle = heading - this.fov / 2;
+    this.endAngle = heading + this.fov / 2;
+  }
+
+  /**
+   * Turn the light counterclockwise.
+   * @param {Number} angle Angle in radians to turn by.
+   */
+  rotate(angle){
+    this.setHeading(this.heading + angle);
+  }
+
+  /**
+   * Point the light toward a target, keeping the heading if the target is where the light is.
+   * @param {Vector2} target Point to point the light toward.
+   */
+  pointAt(target){
+    if(!target.equals(this.position)){
+      this.setHeading(target.sub(this.position).angle());
+    }
+  }
+
+  /**
+   * Get the intensity of the light in a direction, after travelling some distance.
+   * The light fades out smoothly toward the edges of the cone, and is off outside of it.
+   * @param {Number} angle Angle in radians of the direction.
+   * @param {Number} distance Distance travelled by the light.
+   * @returns {Number} The intensity, between 0 and 1.
+   */
+  getIntensity(angle, distance){
+    //angle between the direction and the heading, between 0 and PI
+    var offset = Math.abs(Math.atan2(Math.sin(angle - this.heading), Math.cos(angle - this.heading)));
+    var halfFov = this.fov / 2;
+    var softWidth = halfFov * this.falloff;
+    var angleFactor = 1;
+    if(offset >= halfFov){
+      angleFactor = 0;
+    }
+    else if(offset > halfFov - softWidth){
+      var x = (halfFov - offset) / softWidth;
+      angleFactor = x * x * (3 - 2 * x);
+    }
+    return super.getIntensity(angle, distance) * angleFactor;
+  }
+
+  /**
+   * Get a plain object describing the spotlight, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized spotlight.
+   */
+  toJSON(){
+    var data = super.toJSON();
+    data.type = "SpotLight";
+    data.heading = this.heading;
+    data.fov = this.fov;
+    data.falloff = this.falloff;
+    return data;
+  }
+}
+
+/**
+ * Class representing a light emitted from a whole disc or segment instead of a single point, casting soft shadows.
+ * Its lit area is accumulated from many jittered points of its surface, so shadows get an umbra and a penumbra.
+ * @typedef {Object} AreaLight
+ * @property {String} shape Shape of the light, "disc" or "segment", centered on its position.
+ * @property {Number} size Radius of the disc or length of the segment.
+ * @property {Number} angle Angle in radians of the segment.
+ * @property {Number} samples How many points of the light are used to compute its lit area.
+ * @property {(p5.Graphics|Null)} buffer Offscreen buffer the lit area is accumulated in.
+ */
+class AreaLight extends LightSource{
+  /**
+   * Creates a new area light.
+   * Takes the options of a LightSource too.
+   * @param {Vector2} [position] Center of the light.
+   * @param {Object} [options] Options of the light.
+   * @param {String} [options.shape="disc"] Shape of the light, "disc" or "segment".
+   * @param {Number} [options.size=30] Radius of the disc or length of the segment.
+   * @param {Number} [options.angle=0] Angle in radians of the segment.
+   * @param {Number} [options.samples=32] How many points of the light are used to compute its lit area.
+   * @returns {AreaLight} The new area light.
+   */
+  constructor(position = new Vector2(), options = {}){
+    super(position, options);
+    var {shape = "disc", size = 30, angle = 0, samples = 32} = options;
+    if(shape !== "disc" && shape !== "segment"){
+      throw new Error("Area light shape must be \"disc\" or \"segment\"");
+    }
+    else if(size <= 0){
+      throw new Error("Area light size must be greater than 0");
+    }
+    else{
+      this.shape = shape;
+      this.size = size;
+      this.angle = angle;
+      this.samples = samples;
+      this.buffer = null;
+    }
+  }
+
+  /**
+   * Get random points of the light, stratified so they cover it evenly.
+   * @param {Number} count How many points are needed.
+   * @returns {Vector2[]} The points, different at each call.
+   */
+  getSampleOrigins(count){
+    var origins = [];
+    for(var i = 0; i < count; i++){
+      //one random point in each of count equal parts of the light
+      var stratum = (i + Math.random()) / count;
+      if(this.shape === "segment"){
+        var along = (stratum - 0.5) * this.size;
+        origins.push(this.position.add(Vector2.fromAngle(this.angle, along)));
+      }
+      else{
+        //equal area rings, the angle following the golden angle so neighbours do not line up
+        var radius = this.size * Math.sqrt(stratum);
+        var angle = i * Math.PI * (3 - Math.sqrt(5)) + Math.random();
+        origins.push(this.position.add(Vector2.fromAngle(angle, radius)));
+      }
+    }
+    return origins;
+  }
+
+  /**
+   * Fill the area lit by the light via the sketch of a canvas.
+   * The lit areas seen from every sample are added up in an offscreen buffer, each with a share of the intensity,
+   * then the buffer is drawn over the canvas.
+   * @param {p5} sketch The sketch to draw on.
+   * @param {World} world The world the light shines in.
+   */
+  drawLitArea(sketch, world){
+    if(this.buffer === null || this.buffer.width != sketch.width || this.buffer.height != sketch.height){
+      this.buffer = sketch.createGraphics(sketch.width, sketch.height, sketch.WEBGL);
+    }
+    var buffer = this.buffer;
+    buffer.push();
+    buffer.blendMode(buffer.BLEND);
+    buffer.background(0);
+    buffer.blendMode(buffer.ADD);
+    buffer.noStroke();
+
+    var origins = this.getSampleOrigins(this.samples);
+    for(var i in origins){
+      var origin = origins[i];
+      var litArea = world.computeVisibilityPolygon(origin, {
+        maxDistance: this.maxDistance,
+        startAngle: this.startAngle,
+        endAngle: this.endAngle
+      });
+      if(litArea === null){
+        continue;
+      }
+      litArea.drawFan(buffer, origin, (point) => {
+        var intensity = this.getIntensity(point.sub(origin).angle(), point.distance(origin)) / origins.length;
+        return [this.color[0] * intensity, this.color[1] * intensity, this.color[2] * intensity];
+      });
+    }
+    buffer.pop();
+
+    sketch.image(buffer, -sketch.width / 2, -sketch.height / 2, sketch.width, sketch.height);
+  }
+
+  /**
+   * Get a plain object describing the area light, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized area light, without its buffer.
+   */
+  toJSON(){
+    var data = super.toJSON();
+    data.type = "AreaLight";
+    data.shape = this.shape;
+    data.size = this.size;
+    data.angle = this.angle;
+    data.samples = this.samples;
+    return data;
+  }
+
+  /**
+   * Draw the outline of the light via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    sketch.push();
+    sketch.stroke(this.color[0], this.color[1], this.color[2]);
+    sketch.noFill();
+    //Reverse to imitate a standard x,y coordinate system.
+    if(this.shape === "segment"){
+      var half = Vector2.fromAngle(this.angle, this.size / 2);
+      sketch.line(this.position.x - half.x, -(this.position.y - half.y), this.position.x + half.x, -(this.position.y + half.y));
+    }
+    else{
+      sketch.ellipse(this.position.x, -this.position.y, this.size * 2, this.size * 2);
+    }
+    sketch.pop();
+  }
+}
+
+/**
+ * Spatial index splitting the world in square cells, each one listing the objects whose bounding box overlaps it.
+ * Rays walk through the cells they cross in order (DDA), only testing the objects of those cells.
+ * @typedef {Object} UniformGrid
+ * @property {(Number|Null)} cellSize Length of the side of the cells, null to pick it from the objects when building.
+ * @property {Number} size Length of the side of the cells used by the current build.
+ * @property {BoundingBox} bounds Box covered by the cells.
+ * @property {Number} columns How many cells there are along x.
+ * @property {Number} rows How many cells there are along y.
+ * @property {Object[][]} cells Objects of each cell, row by row from the bottom left.
+ * @property {Map<Object, BoundingBox>} boxes Bounding box each object was placed with.
+ */
+class UniformGrid{
+  /**
+   * Creates a new uniform grid, empty until it is built.
+   * @param {Object} [options] Options of the grid.
+   * @param {(Number|Null)} [options.cellSize=null] Length of the side of the cells, null for about one cell per object.
+   * @returns {UniformGrid} The new uniform grid.
+   */
+  constructor({cellSize = null} = {}){
+    if(cellSize !== null && cellSize <= 0){
+      throw new Error("UniformGrid cell size must be greater than 0");
+    }
+    else{
+      this.cellSize = cellSize;
+      this.build([]);
+    }
+  }
+
+  /**
+   * Get a plain object describing the options of the grid, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized grid, without its cells.
+   */
+  toJSON(){
+    return {type: "UniformGrid", cellSize: this.cellSize};
+  }
+
+  /**
+   * Creates a grid from its serialized form.
+   * @param {Object} data The serialized grid.
+   * @returns {UniformGrid} The new grid, empty until it is built.
+   */
+  static fromJSON(data){
+    return new UniformGrid({cellSize: data.cellSize});
+  }
+
+  /**
+   * Place every object in the cells, replacing the previous ones.
+   * @param {Object[]} objects Objects to index.
+   */
+  build(objects){
+    this.boxes = new Map();
+    var bounds = null;
+    for(var i in objects){
+      var box = objects[i].getBoundingBox();
+      this.boxes.set(objects[i], box);
+      bounds = bounds === null ? box : bounds.union(box);
+    }
+    if(bounds === null){
+      bounds = new BoundingBox(new Vector2(), new Vector2(1, 1));
+    }
+    var width = Math.max(bounds.max.x - bounds.min.x, 1);
+    var height = Math.max(bounds.max.y - bounds.min.y, 1);
+    this.size = this.cellSize !== null ? this.cellSize : Math.sqrt(width * height / Math.max(objects.length, 1));
+    this.bounds = bounds;
+    this.columns = Math.max(1, Math.ceil(width / this.size));
+    this.rows = Math.max(1, Math.ceil(height / this.size));
+    this.cells = [];
+    for(var i = 0; i < this.columns * this.rows; i++){
+      this.cells.push([]);
+    }
+    for(var i in objects){
+      this.placeInCells(objects[i], this.boxes.get(objects[i]));
+    }
+  }
+
+  /**
+   * Get the cells overlapped by a box.
+   * The box is grown a little so objects lying on the border of a cell are also in the next one.
+   * @param {BoundingBox} box The box to locate.
+   * @returns {Number[]} Indices of the cells.
+   */
+  getCells(box){
+    var margin = this.size * 1e-6;
+    var minColumn = Math.max(0, Math.floor((box.min.x - margin - this.bounds.min.x) / this.size));
+    var maxColumn = Math.min(this.columns - 1, Math.floor((box.max.x + margin - this.bounds.min.x) / this.size));
+    var minRow = Math.max(0, Math.floor((box.min.y - margin - this.bounds.min.y) / this.size));
+    var maxRow = Math.min(this.rows - 1, Math.floor((box.max.y + margin - this.bounds.min.y) / this.size));
+    var cells = [];
+    for(var row = minRow; row <= maxRow; row++){
+      for(var column = minColumn; column <= maxColumn; column++){
+        cells.push(row * this.columns + column);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Add an object to the cells overlapped by its box.
+   * @param {Object} object The object to add.
+   * @param {BoundingBox} box Bounding box of the object.
+   */
+  placeInCells(object, box){
+    var cells = this.getCells(box);
+    for(var i in cells){
+      this.cells[cells[i]].push(object);
+    }
+  }
+
+  /**
+   * Add an object to the grid, building the grid again if the object is outside of it.
+   * @param {Object} object The object to add.
+   */
+  insert(object){
+    var box = object.getBoundingBox();
+    if(!this.bounds.containsBox(box)){
+      this.build(Array.from(this.boxes.keys()).concat([object]));
+      return;
+    }
+    this.boxes.set(object, box);
+    this.placeInCells(object, box);
+  }
+
+  /**
+   * Remove an object from the grid.
+   * @param {Object} object The object to remove.
+   */
+  remove(object){
+    if(!this.boxes.has(object)){
+      return;
+    }
+    var cells = this.getCells(this.boxes.get(object));
+    for(var i in cells){
+      var cell = this.cells[cells[i]];
+      cell.splice(cell.indexOf(object), 1);
+    }
+    this.boxes.delete(object);
+  }
+
+  /**
+   * Move an object to the cells of its new bounding box.
+   * @param {Object} object The object that moved.
+   */
+  update(object){
+    this.remove(object);
+    this.insert(object);
+  }
+
+  /**
+   * Find the hits of a ray with the objects of the cells it crosses, from the closest cell to the furthest.
+   * Unless the ray collects every hit, it stops at the first cell the closest hit found so far is in,
+   * as nothing further can be closer.
+   * @param {Ray} ray The ray to test.
+   * @returns {(Hit|Null)} The closest hit of the ray, null if it hit nothing.
+   */
+  findHits(ray){
+    var entry = this.bounds.rayDistance(ray);
+    if(entry === null){
+      return ray.closestHit;
+    }
+
+    var d = ray.direction;
+    var start = ray.startPos.add(d.multiply(entry));
+    var column = Math.min(Math.max(Math.floor((start.x - this.bounds.min.x) / this.size), 0), this.columns - 1);
+    var row = Math.min(Math.max(Math.floor((start.y - this.bounds.min.y) / this.size), 0), this.rows - 1);
+    var stepX = d.x > 0 ? 1 : -1;
+    var stepY = d.y > 0 ? 1 : -1;
+    //distance along the ray to the next border between columns and between rows, and from one border to the next
+    var nextX = d.x == 0 ? Infinity : (this.bounds.min.x + (column + (d.x > 0 ? 1 : 0)) * this.size - ray.startPos.x) / d.x;
+    var nextY = d.y == 0 ? Infinity : (this.bounds.min.y + (row + (d.y > 0 ? 1 : 0)) * this.size - ray.startPos.y) / d.y;
+    var deltaX = d.x == 0 ? Infinity : this.size / Math.abs(d.x);
+    var deltaY = d.y == 0 ? Infinity : this.size / Math.abs(d.y);
+
+    //objects overlapping several cells are only tested once
+    var tested = new Set();
+    while(column >= 0 && column < this.columns && row >= 0 && row < this.rows){
+      var cell = this.cells[row * this.columns + column];
+      for(var i in cell){
+        if(!tested.has(cell[i])){
+          tested.add(cell[i]);
+          var hit = cell[i].rayIntersects(ray);
+          if(hit !== null){
+            ray.addIntersectingPoint(hit);
+          }
+        }
+      }
+
+      var exit = Math.min(nextX, nextY);
+      //a hit further than the cell may belong to an object also in a later cell, which could hold a closer hit
+      if(!ray.collectAll && ray.closestHit !== null && ray.closestHit.distance <= exit){
+        break;
+      }
+      if(exit > ray.maxDistance){
+        break;
+      }
+      if(nextX < nextY){
+        column += stepX;
+        nextX += deltaX;
+      }
+      else{
+        row += stepY;
+        nextY += deltaY;
+      }
+    }
+    return ray.closestHit;
+  }
+}
+
+/**
+ * Node of a bounding volume hierarchy, either a leaf holding objects or a branch with 2 children.
+ * @typedef {Object} BVHNode
+ * @property {BoundingBox} box Box enclosing every object under the node.
+ * @property {(BVHNode|Null)} parent Node above this one, null for the root.
+ * @property {(BVHNode|Null)} left First child of a branch, null for a leaf.
+ * @property {(BVHNode|Null)} right Second child of a branch, null for a leaf.
+ * @property {(Object[]|Null)} objects Objects of a leaf, null for a branch.
+ */
+
+/**
+ * Spatial index grouping the objects in a tree of nested bounding boxes, which adapts to scenes where objects are unevenly spread.
+ * Rays only go down into the boxes they cross, the closest first.
+ * @typedef {Object} BoundingVolumeHierarchy
+ * @property {Number} leafSize How many objects a leaf holds at most.
+ * @property {String} split How the objects are split between 2 children, "sah" (surface area heuristic) or "median".
+ * @property {(BVHNode|Null)} root Top of the tree, null when there are no objects.
+ * @property {Map<Object, BVHNode>} leaves Leaf holding each object.
+ */
+class BoundingVolumeHierarchy{
+  /**
+   * Creates a new bounding volume hierarchy, empty until it is built.
+   * @param {Object} [options] Options of the hierarchy.
+   * @param {Number} [options.leafSize=4] How many objects a leaf holds at most.
+   * @param {String} [options.split="sah"] How the objects are split between 2 children, "sah" (surface area heuristic) or "median".
+   * @returns {BoundingVolumeHierarchy} The new bounding volume hierarchy.
+   */
+  constructor({leafSize = 4, split = "sah"} = {}){
+    if(leafSize < 1){
+      throw new Error("BoundingVolumeHierarchy leaf size must be at least 1");
+    }
+    else if(split !== "sah" && split !== "median"){
+      throw new Error("BoundingVolumeHierarchy split must be \"sah\" or \"median\"");
+    }
+    else{
+      this.leafSize = leafSize;
+      this.split = split;
+      this.build([]);
+    }
+  }
+
+  /**
+   * Get a plain object describing the options of the hierarchy, which can be sent to a worker or saved as JSON.
+   * @returns {Object} The serialized hierarchy, without its tree.
+   */
+  toJSON(){
+    return {type: "BoundingVolumeHierarchy", leafSize: this.leafSize, split: this.split};
+  }
+
+  /**
+   * Creates a hierarchy from its serialized form.
+   * @param {Object} data The serialized hierarchy.
+   * @returns {BoundingVolumeHierarchy} The new hierarchy, empty until it is built.
+   */
+  static fromJSON(data){
+    return new BoundingVolumeHierarchy({leafSize: data.leafSize, split: data.split});
+  }
+
+  /**
+   * Build the tree from every object, replacing the previous one.
+   * @param {Object[]} objects Objects to index.
+   */
+  build(objects){
+    this.leaves = new Map();
+    var items = objects.map((object) => this.createItem(object));
+    this.root = items.length == 0 ? null : this.buildNode(items, null);
+  }
+
+  /**
+   * Get the box an object is indexed with.
+   * The box is grown a little so rays grazing an object do not miss its box by a rounding error.
+   * @param {Object} object The object.
+   * @returns {BoundingBox} The grown bounding box of the object.
+   */
+  getObjectBox(object){
+    return object.getBoundingBox().expanded(1e-6);
+  }
+
+  /**
+   * Pair an object with what building the tree needs to know about it.
+   * @param {Object} object The object.
+   * @returns {Object} The object with its box and the center of its box.
+   */
+  createItem(object){
+    var box = this.getObjectBox(object);
+    return {object: object, box: box, center: box.getCenter()};
+  }
+
+  /**
+   * Build the subtree holding some objects.
+   * @param {Object[]} items The objects with their box, at least one.
+   * @param {(BVHNode|Null)} parent Node above the subtree.
+   * @returns {BVHNode} The top of the subtree.
+   */
+  buildNode(items, parent){
+    var box = items[0].box;
+    for(var i = 1; i < items.length; i++){
+      box = box.union(items[i].box);
+    }
+    var node = {box: box, parent: parent, left: null, right: null, objects: null};
+    if(items.length <= this.leafSize){
+      node.objects = items.map((item) => item.object);
+      for(var i in node.objects){
+        this.leaves.set(node.objects[i], node);
+      }
+      return node;
+    }
+
+    //split along the axis where the centers are the most spread
+    var centers = BoundingBox.fromPoints(items.map((item) => item.center));
+    var axis = centers.max.x - centers.min.x >= centers.max.y - centers.min.y ? "x" : "y";
+    items.sort((a, b) => a.center[axis] - b.center[axis]);
+    var splitIndex = this.split === "sah" ? this.findSahSplit(items) : Math.floor(items.length / 2);
+    node.left = this.buildNode(items.slice(0, splitIndex), node);
+    node.right = this.buildNode(items.slice(splitIndex), node);
+    return node;
+  }
+
+  /**
+   * Find where to split sorted objects so the children are the cheapest to cross.
+   * The cost of a child is the perimeter of its box, how likely a ray is to enter it, times how many objects it holds.
+   * @param {Object[]} items The objects with their box, sorted along the split axis.
+   * @returns {Number} How many objects go to the first child, between 1 and the number of objects - 1.
+   */
+  findSahSplit(items){
+    //boxes enclosing the objects from each index to the end
+    var rightBoxes = [];
+    rightBoxes[items.length - 1] = items[items.length - 1].box;
+    for(var i = items.length - 2; i > 0; i--){
+      rightBoxes[i] = rightBoxes[i + 1].union(items[i].box);
+    }
+
+    var bestIndex = Math.floor(items.length / 2);
+    var bestCost = Infinity;
+    var leftBox = items[0].box;
+    for(var i = 1; i < items.length; i++){
+      var cost = leftBox.getPerimeter() * i + rightBoxes[i].getPerimeter() * (items.length - i);
+      if(cost < bestCost){
+        bestCost = cost;
+        bestIndex = i;
+      }
+      leftBox = leftBox.union(items[i].box);
+    }
+    return bestIndex;
+  }
+
+  /**
+   * Put a node in the place of another one in the tree.
+   * @param {BVHNode} node The node to replace.
+   * @param {BVHNode} replacement The node taking its place.
+   */
+  replaceNode(node, replacement){
+    if(node.parent === null){
+      this.root = replacement;
+    }
+    else if(node.parent.left === node){
+      node.parent.left = replacement;
+    }
+    else{
+      node.parent.right = replacement;
+    }
+    replacement.parent = node.parent;
+  }
+
+  /**
+   * Fit the boxes from a node up to the root around what they hold again.
+   * @param {(BVHNode|Null)} node The lowest node whose content changed.
+   */
+  refit(node){
+    while(node !== null){
+      if(node.objects !== null){
+        node.box = this.getObjectBox(node.objects[0]);
+        for(var i = 1; i < node.objects.length; i++){
+          node.box = node.box.union(this.getObjectBox(node.objects[i]));
+        }
+      }
+      else{
+        node.box = node.left.box.union(node.right.box);
+      }
+      node = node.parent;
+    }
+  }
+
+  /**
+   * Add an object to the tree without building it again.
+   * The object goes down toward the child whose box grows the least, a full leaf being split in 2.
+   * @param {Object} object The object to add.
+   */
+  insert(object){
+    var item = this.createItem(object);
+    var box = item.box;
+    if(this.root === null){
+      this.root = this.buildNode([item], null);
+      return;
+    }
+
+    var node = this.root;
+    while(node.objects === null){
+      var leftGrowth = node.left.box.union(box).getPerimeter() - node.left.box.getPerimeter();
+      var rightGrowth = node.right.box.union(box).getPerimeter() - node.right.box.getPerimeter();
+      node = leftGrowth <= rightGrowth ? node.left : node.right;
+    }
+    node.objects.push(object);
+    this.leaves.set(object, node);
+    if(node.objects.length > this.leafSize){
+      var items = node.objects.map((leafObject) => this.createItem(leafObject));
+      this.replaceNode(node, this.buildNode(items, node.parent));
+    }
+    this.refit(this.leaves.get(object));
+  }
+
+  /**
+   * Remove an object from the tree, an empty leaf leaving its place to its sibling.
+   * @param {Object} object The object to remove.
+   */
+  remove(object){
+    var leaf = this.leaves.get(object);
+    if(leaf === undefined){
+      return;
+    }
+    this.leaves.delete(object);
+    leaf.objects.splice(leaf.objects.indexOf(object), 1);
+    if(leaf.objects.length > 0){
+      this.refit(leaf);
+    }
+    else if(leaf.parent === null){
+      this.root = null;
+    }
+    else{
+      var sibling = leaf.parent.left === leaf ? leaf.parent.right : leaf.parent.left;
+      this.replaceNode(leaf.parent, sibling);
+      this.refit(sibling.parent);
+    }
+  }
+
+  /**
+   * Fit the boxes around an object that moved, keeping the shape of the tree.
+   * @param {Object} object The object that moved.
+   */
+  update(object){
+    var leaf = this.leaves.get(object);
+    if(leaf !== undefined){
+      this.refit(leaf);
+    }
+  }
+
+  /**
+   * Find the hits of a ray with the objects of the leaves it crosses.
+   * Unless the ray collects every hit, boxes further than the closest hit found so far are skipped.
+   * @param {Ray} ray The ray to test.
+   * @returns {(Hit|Null)} The closest hit of the ray, null if it hit nothing.
+   */
+  findHits(ray){
+    if(this.root === null){
+      return ray.closestHit;
+    }
+
+    //nodes left to visit, with the distance at which the ray enters their box
+    var nodes = [this.root];
+    var entries = [this.root.box.rayDistance(ray)];
+    while(nodes.length > 0){
+      var node = nodes.pop();
+      var entry = entries.pop();
+      if(entry === null || (!ray.collectAll && ray.closestHit !== null && entry > ray.closestHit.distance)){
+        continue;
+      }
+
+      if(node.objects !== null){
+        for(var i in node.objects){
+          var hit = node.objects[i].rayIntersects(ray);
+          if(hit !== null){
+            ray.addIntersectingPoint(hit);
+          }
+        }
+        continue;
+      }
+
+      //the closest child is visited first, so its hits can make the other one skipped
+      var leftEntry = node.left.box.rayDistance(ray);
+      var rightEntry = node.right.box.rayDistance(ray);
+      if(leftEntry !== null && (rightEntry === null || leftEntry <= rightEntry)){
+        nodes.push(node.right, node.left);
+        entries.push(rightEntry, leftEntry);
+      }
+      else{
+        nodes.push(node.left, node.right);
+        entries.push(leftEntry, rightEntry);
+      }
+    }
+    return ray.closestHit;
+  }
+}
+
+/**
+ * Node of a quadtree, covering a square split in 4 smaller ones by its children.
+ * @typedef {Object} QuadtreeNode
+ * @property {BoundingBox} bounds Square the node covers, which the centers of its objects are in.
+ * @property {BoundingBox} looseBounds Bounds grown by the looseness of the tree, which the boxes of its objects fit in.
+ * @property {Number} depth How many nodes are above this one.
+ * @property {(QuadtreeNode|Null)} parent Node above this one, null for the root.
+ * @property {(QuadtreeNode[]|Null)} children The 4 smaller squares, null for a leaf.
+ * @property {Object[]} objects Objects too big to go down into a child, or all of them for a leaf.
+ */
+
+/**
+ * Loose quadtree answering where the objects are, to find the ones in a region or the closest one to a point.
+ * Each node covers a square grown by the looseness, so moving objects rarely have to change of node.
+ * @typedef {Object} Quadtree
+ * @property {Number} maxObjects How many objects a leaf holds before it is split.
+ * @property {Number} maxDepth How deep nodes can get, the deepest leaves never being split.
+ * @property {Number} looseness How many times bigger than its square the bounds of a node are.
+ * @property {QuadtreeNode} root Top of the tree.
+ * @property {Map<Object, QuadtreeNode>} nodes Node holding each object.
+ */
+class Quadtree{
+  /**
+   * Creates a new quadtree, empty until it is built.
+   * @param {Object} [options] Options of the quadtree.
+   * @param {Number} [options.maxObjects=8] How many objects a leaf holds before it is split.
+   * @param {Number} [options.maxDepth=8] How deep nodes can get, the deepest leaves never being split.
+   * @param {Number} [options.looseness=2] How many times bigger than its square the bounds of a node are, at least 1.
+   * @returns {Quadtree} The new quadtree.
+   */
+  constructor({maxObjects = 8, maxDepth = 8, looseness = 2} = {}){
+    if(looseness < 1){
+      throw new Error("Quadtree looseness must be at least 1");
+    }
+    else{
+      this.maxObjects = maxObjects;
+      this.maxDepth = maxDepth;
+      this.looseness = looseness;
+      this.build([]);
+    }
+  }
+
+  /**
+   * Build the tree from every object, replacing the previous one.
+   * @param {Object[]} objects Objects to index.
+   * @param {BoundingBox} [bounds] Box the root must cover, around the objects by default.
+   */
+  build(objects, bounds = null){
+    for(var i in objects){
+      var box = objects[i].getBoundingBox();
+      bounds = bounds === null ? box : bounds.union(box);
+    }
+    if(bounds === null){
+      bounds = new BoundingBox(new Vector2(-1, -1), new Vector2(1, 1));
+    }
+    //the root is a square around the bounds
+    var center = bounds.getCenter();
+    var halfSize = Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y, 1) / 2;
+    this.root = this.createNode(new BoundingBox(center.sub(new Vector2(halfSize, halfSize)), center.add(new Vector2(halfSize, halfSize))), null);
+    this.nodes = new Map();
+    for(var i in objects){
+      this.insert(objects[i]);
+    }
+  }
+
+  /**
+   * Creates a leaf covering a square.
+   * @param {BoundingBox} bounds Square the node covers.
+   * @param {(QuadtreeNode|Null)} parent Node above the new one.
+   * @returns {QuadtreeNode} The new node.
+   */
+  createNode(bounds, parent){
+    var margin = (bounds.max.x - bounds.min.x) * (this.looseness - 1) / 2;
+    return {
+      bounds: bounds,
+      looseBounds: bounds.expanded(margin),
+      depth: parent === null ? 0 : parent.depth + 1,
+      parent: parent,
+      children: null,
+      objects: []
+    };
+  }
+
+  /**
+   * Find the child of a node an object can go down into.
+   * @param {QuadtreeNode} node The node the object is in.
+   * @param {BoundingBox} box Bounding box of the object.
+   * @returns {(QuadtreeNode|Null)} The child whose square has the center of the box and whose bounds fit the box, null if there is none.
+   */
+  findChild(node, box){
+    if(node.children === null){
+      return null;
+    }
+    var center = box.getCenter();
+    var nodeCenter = node.bounds.getCenter();
+    var child = node.children[(center.x >= nodeCenter.x ? 1 : 0) + (center.y >= nodeCenter.y ? 2 : 0)];
+    return child.looseBounds.containsBox(box) ? child : null;
+  }
+
+  /**
+   * Split a leaf in 4 children, moving its objects down into them where they fit.
+   * @param {QuadtreeNode} node The leaf to split.
+   */
+  subdivide(node){
+    var min = node.bounds.min;
+    var half = (node.bounds.max.x - min.x) / 2;
+    node.children = [];
+    //the children go from the bottom left to the top right, row by row
+    for(var i = 0; i < 4; i++){
+      var childMin = new Vector2(min.x + (i % 2) * half, min.y + Math.floor(i / 2) * half);
+      node.children.push(this.createNode(new BoundingBox(childMin, childMin.add(new Vector2(half, half))), node));
+    }
+    var objects = node.objects;
+    node.objects = [];
+    for(var i in objects){
+      this.placeObject(objects[i], node);
+    }
+  }
+
+  /**
+   * Put an object in the deepest node it fits in, starting from a node.
+   * @param {Object} object The object to place.
+   * @param {QuadtreeNode} node The node to start from.
+   */
+  placeObject(object, node){
+    var box = object.getBoundingBox();
+    while(true){
+      var child = this.findChild(node, box);
+      if(child !== null){
+        node = child;
+      }
+      else if(node.children === null && node.objects.length >= this.maxObjects && node.depth < this.maxDepth){
+        this.subdivide(node);
+      }
+      else{
+        break;
+      }
+    }
+    node.objects.push(object);
+    this.nodes.set(object, node);
+  }
+
+  /**
+   * Add an object to the tree, building the tree again around it if it is outside of the root.
+   * @param {Object} object The object to add.
+   */
+  insert(object){
+    var box = object.getBoundingBox();
+    if(!this.root.looseBounds.containsBox(box) || !this.root.bounds.contains(box.getCenter())){
+      this.build(Array.from(this.nodes.keys()).concat([object]), this.root.bounds);
+      return;
+    }
+    this.placeObject(object, this.root);
+  }
+
+  /**
+   * Remove an object from the tree, merging the children left empty.
+   * @param {Object} object The object to remove.
+   */
+  remove(object){
+    var node = this.nodes.get(object);
+    if(node === undefined){
+      return;
+    }
+    this.nodes.delete(object);
+    node.objects.splice(node.objects.indexOf(object), 1);
+    if(node.children === null){
+      node = node.parent;
+    }
+    while(node !== null && node.children.every((child) => child.children === null && child.objects.length == 0)){
+      node.children = null;
+      node = node.parent;
+    }
+  }
+
+  /**
+   * Move an object to the node matching its new bounding box.
+   * @param {Object} object The object that moved.
+   */
+  update(object){
+    var node = this.nodes.get(object);
+    var box = object.getBoundingBox();
+    //still where it belongs, there is nothing to do
+    if(node !== undefined && node.looseBounds.containsBox(box) && node.bounds.contains(box.getCenter()) && this.findChild(node, box) === null){
+      return;
+    }
+    this.remove(object);
+    this.insert(object);
+  }
+
+  /**
+   * Find the objects whose bounding box overlaps a rectangle.
+   * @param {BoundingBox} box The rectangle.
+   * @returns {Object[]} The objects.
+   */
+  queryRectangle(box){
+    var found = [];
+    var nodes = [this.root];
+    while(nodes.length > 0){
+      var node = nodes.pop();
+      if(!node.looseBounds.intersects(box)){
+        continue;
+      }
+      for(var i in node.objects){
+        if(node.objects[i].getBoundingBox().intersects(box)){
+          found.push(node.objects[i]);
+        }
+      }
+      if(node.children !== null){
+        nodes.push(...node.children);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Find the objects touching a circle.
+   * @param {Vector2} center Center of the circle.
+   * @param {Number} radius Radius of the circle.
+   * @returns {Object[]} The objects closer to the center than the radius.
+   */
+  queryCircle(center, radius){
+    var extent = new Vector2(radius, radius);
+    return this.queryRectangle(new BoundingBox(center.sub(extent), center.add(extent))).filter((object) => object.distanceToPoint(center) <= radius);
+  }
+
+  /**
+   * Find the closest object to a point.
+   * The closest nodes are searched first, nodes further than the closest object found so far being skipped.
+   * @param {Vector2} point The point.
+   * @param {Number} [maxDistance=Infinity] Distance beyond which objects are ignored.
+   * @returns {(Object|Null)} The closest object, null if there is none within maxDistance.
+   */
+  findNearest(point, maxDistance = Infinity){
+    var nearest = null;
+    var nearestDistance = maxDistance;
+    var nodes = [this.root];
+    while(nodes.length > 0){
+      var node = nodes.pop();
+      if(node.looseBounds.distanceToPoint(point) > nearestDistance){
+        continue;
+      }
+      for(var i in node.objects){
+        var distance = node.objects[i].distanceToPoint(point);
+        if(distance <= nearestDistance){
+          nearest = node.objects[i];
+          nearestDistance = distance;
+        }
+      }
+      if(node.children !== null){
+        //the closest child is popped first
+        var children = node.children.slice().sort((a, b) => b.looseBounds.distanceToPoint(point) - a.looseBounds.distanceToPoint(point));
+        nodes.push(...children);
+      }
+    }
+    return nearest;
+  }
+}
+
+/**
+ * Kinds of the primitives packed in a SceneBuffers.
+ */
+const PRIMITIVE_SEGMENT = 0;
+const PRIMITIVE_CIRCLE = 1;
+const PRIMITIVE_ARC = 2;
+
+/**
+ * How many numbers describe a primitive packed in a SceneBuffers.
+ * A segment is its start and the vector to its end, a circle its center and radius, an arc its center, radius, start angle and span.
+ */
+const PRIMITIVE_STRIDE = 5;
+
+/**
+ * How many primitives a leaf of the hierarchy of a SceneBuffers holds at most.
+ */
+const PRIMITIVE_LEAF_SIZE = 4;
+
+/**
+ * Objects of a world flattened into typed arrays of primitives, to cast rays without creating objects.
+ * Polylines, polygons and Bézier curves are split into their edges, other objects are left unpacked and tested on their own.
+ * The primitives are grouped in a bounding volume hierarchy stored in typed arrays too, node by node in depth-first order,
+ * the left child of a branch being the node right after it.
+ * @typedef {Object} SceneBuffers
+ * @property {Uint8Array} kinds Kind of each primitive, PRIMITIVE_SEGMENT, PRIMITIVE_CIRCLE or PRIMITIVE_ARC.
+ * @property {Float64Array} data PRIMITIVE_STRIDE numbers per primitive.
+ * @property {Int32Array} objectIds Index in the objects of the object each primitive comes from.
+ * @property {Int32Array} edgeIds Index in the edges of its object of each primitive, 0 for objects that are a single primitive.
+ * @property {Int32Array} unpackedIds Index in the objects of each object that could not be packed.
+ * @property {Int32Array} order Indices of the primitives, sorted so the ones of each leaf follow each other.
+ * @property {Float64Array} nodeBoxes Smallest x and y, then biggest x and y of the box of each node.
+ * @property {Int32Array} nodeStarts Where the primitives of each leaf start in order.
+ * @property {Int32Array} nodeCounts How many primitives each leaf has, 0 for a branch.
+ * @property {Int32Array} nodeRights Right child of each branch.
+ * @property {Int32Array} stack Nodes waiting to be visited while casting a ray, reused from ray to ray.
+ */
+class SceneBuffers{
+  /**
+   * Creates the buffers of objects.
+   * @param {Object[]} objects Objects to pack, the ones that are not segments, circles, arcs, Bézier curves, polylines or polygons being left unpacked.
+   * @returns {SceneBuffers} The new buffers.
+   */
+  constructor(objects = []){
+    var kinds = [];
+    var data = [];
+    var objectIds = [];
+    var edgeIds = [];
+    var unpackedIds = [];
+    for(var i = 0; i < objects.length; i++){
+      var object = objects[i];
+      if(object instanceof Segment){
+        kinds.push(PRIMITIVE_SEGMENT);
+        data.push(object.startPos.x, object.startPos.y, object.endPos.x - object.startPos.x, object.endPos.y - object.startPos.y, 0);
+        objectIds.push(i);
+        edgeIds.push(0);
+      }
+      else if(object instanceof Polyline || object instanceof BezierCurve){
+        for(var j = 0; j < object.edges.length; j++){
+          var edge = object.edges[j];
+          kinds.push(PRIMITIVE_SEGMENT);
+          data.push(edge.startPos.x, edge.startPos.y, edge.endPos.x - edge.startPos.x, edge.endPos.y - edge.startPos.y, 0);
+          objectIds.push(i);
+          edgeIds.push(j);
+        }
+      }
+      else if(object instanceof Circle){
+        kinds.push(PRIMITIVE_CIRCLE);
+        data.push(object.center.x, object.center.y, object.radius, 0, 0);
+        objectIds.push(i);
+        edgeIds.push(0);
+      }
+      else if(object instanceof Arc){
+        kinds.push(PRIMITIVE_ARC);
+        data.push(object.center.x, object.center.y, object.radius, object.startAngle, object.getSpan());
+        objectIds.push(i);
+        edgeIds.push(0);
+      }
+      else{
+        unpackedIds.push(i);
+      }
+    }
+    this.kinds = new Uint8Array(kinds);
+    this.data = new Float64Array(data);
+    this.objectIds = new Int32Array(objectIds);
+    this.edgeIds = new Int32Array(edgeIds);
+    this.unpackedIds = new Int32Array(unpackedIds);
+    this.buildHierarchy();
+  }
+
+  /**
+   * Group the primitives in a bounding volume hierarchy, splitting each node in 2 halves along the longest side of the box of its centers.
+   */
+  buildHierarchy(){
+    var count = this.kinds.length;
+    var data = this.data;
+    //boxes are grown a little so the rays grazing them are not rejected because of rounding errors
+    var margin = 1e-6;
+    var boxes = new Float64Array(count * 4);
+    var centers = new Float64Array(count * 2);
+    for(var i = 0; i < count; i++){
+      var k = i * PRIMITIVE_STRIDE;
+      if(this.kinds[i] == PRIMITIVE_SEGMENT){
+        boxes[4 * i] = Math.min(data[k], data[k] + data[k + 2]) - margin;
+        boxes[4 * i + 1] = Math.min(data[k + 1], data[k + 1] + data[k + 3]) - margin;
+        boxes[4 * i + 2] = Math.max(data[k], data[k] + data[k + 2]) + margin;
+        boxes[4 * i + 3] = Math.max(data[k + 1], data[k + 1] + data[k + 3]) + margin;
+      }
+      //arcs are given the box of their whole circle
+      else{
+        boxes[4 * i] = data[k] - data[k + 2] - margin;
+        boxes[4 * i + 1] = data[k + 1] - data[k + 2] - margin;
+        boxes[4 * i + 2] = data[k] + data[k + 2] + margin;
+        boxes[4 * i + 3] = data[k + 1] + data[k + 2] + margin;
+      }
+      centers[2 * i] = (boxes[4 * i] + boxes[4 * i + 2]) / 2;
+      centers[2 * i + 1] = (boxes[4 * i + 1] + boxes[4 * i + 3]) / 2;
+    }
+
+    this.order = new Int32Array(count);
+    for(var i = 0; i < count; i++){
+      this.order[i] = i;
+    }
+    var nodeBoxes = [];
+    var nodeStarts = [];
+    var nodeCounts = [];
+    var nodeRights = [];
+    var maxDepth = 0;
+    var buildNode = (start, end, depth) => {
+      var node = nodeStarts.length;
+      var box = [Infinity, Infinity, -Infinity, -Infinity];
+      var centerBox = [Infinity, Infinity, -Infinity, -Infinity];
+      for(var i = start; i < end; i++){
+        var primitive = this.order[i];
+        for(var j = 0; j < 2; j++){
+          box[j] = Math.min(box[j], boxes[4 * primitive + j]);
+          box[j + 2] = Math.max(box[j + 2], boxes[4 * primitive + j + 2]);
+          centerBox[j] = Math.min(centerBox[j], centers[2 * primitive + j]);
+          centerBox[j + 2] = Math.max(centerBox[j + 2], centers[2 * primitive + j]);
+        }
+      }
+      nodeBoxes.push(...box);
+      nodeStarts.push(start);
+      nodeCounts.push(end - start);
+      nodeRights.push(-1);
+      maxDepth = Math.max(maxDepth, depth);
+      if(end - start <= PRIMITIVE_LEAF_SIZE){
+        return;
+      }
+
+      var axis = centerBox[2] - centerBox[0] >= centerBox[3] - centerBox[1] ? 0 : 1;
+      this.order.subarray(start, end).sort((a, b) => centers[2 * a + axis] - centers[2 * b + axis]);
+      var middle = Math.floor((start + end) / 2);
+      nodeCounts[node] = 0;
+      buildNode(start, middle, depth + 1);
+      nodeRights[node] = nodeStarts.length;
+      buildNode(middle, end, depth + 1);
+    };
+    if(count > 0){
+      buildNode(0, count, 0);
+    }
+    this.nodeBoxes = new Float64Array(nodeBoxes);
+    this.nodeStarts = new Int32Array(nodeStarts);
+    this.nodeCounts = new Int32Array(nodeCounts);
+    this.nodeRights = new Int32Array(nodeRights);
+    //each node visited puts at most 2 children on the stack, one of them being visited right after
+    this.stack = new Int32Array(maxDepth + 2);
+  }
+
+  /**
+   * Find the distance along a ray to where it enters the box of a node of the hierarchy.
+   * @param {Number} node Index of the node.
+   * @param {Number} qx X of the start of the ray.
+   * @param {Number} qy Y of the start of the ray.
+   * @param {Number} dx X of the unit direction of the ray.
+   * @param {Number} dy Y of the unit direction of the ray.
+   * @returns {Number} The distance to the box, 0 if the ray starts inside, -1 if the ray misses.
+   */
+  boxDistance(node, qx, qy, dx, dy){
+    var boxes = this.nodeBoxes;
+    var k = node * 4;
+    var entry = 0;
+    var exit = Infinity;
+    if(dx == 0){
+      if(qx < boxes[k] || qx > boxes[k + 2]){
+        return -1;
+      }
+    }
+    else{
+      var t0 = (boxes[k] - qx) / dx;
+      var t1 = (boxes[k + 2] - qx) / dx;
+      entry = Math.max(entry, Math.min(t0, t1));
+      exit = Math.min(exit, Math.max(t0, t1));
+    }
+    if(dy == 0){
+      if(qy < boxes[k + 1] || qy > boxes[k + 3]){
+        return -1;
+      }
+    }
+    else{
+      var t0 = (boxes[k + 1] - qy) / dy;
+      var t1 = (boxes[k + 3] - qy) / dy;
+      entry = Math.max(entry, Math.min(t0, t1));
+      exit = Math.min(exit, Math.max(t0, t1));
+    }
+    return entry <= exit ? entry : -1;
+  }
+
+  /**
+   * Find the distance along a ray to a packed primitive, the same way the object it comes from does.
+   * @param {Number} index Index of the primitive.
+   * @param {Number} qx X of the start of the ray.
+   * @param {Number} qy Y of the start of the ray.
+   * @param {Number} dx X of the unit direction of the ray.
+   * @param {Number} dy Y of the unit direction of the ray.
+   * @returns {Number} The distance to the hit, -1 if the ray misses.
+   */
+  rayDistance(index, qx, qy, dx, dy){
+    var data = this.data;
+    var k = index * PRIMITIVE_STRIDE;
+    if(this.kinds[index] == PRIMITIVE_SEGMENT){
+      var rx = data[k + 2];
+      var ry = data[k + 3];
+      var px = data[k] - qx;
+      var py = data[k + 1] - qy;
+      var dXr = dx * ry - dy * rx;
+      var t, u;
+      if(dXr == 0){
+        if(px * dy - py * dx != 0){
+          return -1;
+        }
+        var t0 = px * dx + py * dy;
+        var t1 = t0 + rx * dx + ry * dy;
+        if(t0 < 0 && t1 < 0){
+          return -1;
+        }
+        t = Math.max(Math.min(t0, t1), 0);
+        u = (t - t0) / (t1 - t0);
+      }
+      else{
+        t = (px * ry - py * rx) / dXr;
+        u = (px * dy - py * dx) / dXr;
+      }
+      return t < 0 || u < 0 || u > 1 ? -1 : t;
+    }
+
+    var mx = qx - data[k];
+    var my = qy - data[k + 1];
+    var b = mx * dx + my * dy;
+    var c = mx * mx + my * my - data[k + 2] * data[k + 2];
+    var discriminant = b * b - c;
+    if(discriminant < 0){
+      return -1;
+    }
+    var root = Math.sqrt(discriminant);
+    if(this.kinds[index] == PRIMITIVE_CIRCLE){
+      var t = -b - root;
+      if(t < 0){
+        t = -b + root;
+      }
+      return t < 0 ? -1 : t;
+    }
+
+    //an arc keeps the nearest point inside its span
+    for(var i = 0; i < 2; i++){
+      var t = i == 0 ? -b - root : -b + root;
+      if(t < 0){
+        continue;
+      }
+      var angle = Math.atan2(qy + dy * t - data[k + 1], qx + dx * t - data[k]);
+      var offset = (angle - data[k + 3]) % (2 * Math.PI);
+      if(offset < 0){
+        offset += 2 * Math.PI;
+      }
+      if(offset <= data[k + 4]){
+        return t;
+      }
+    }
+    return -1;
+  }
+}
+
+/**
+ * Closest hits of a batch of rays, in flat typed arrays.
+ * @typedef {Object} BatchHits
+ * @property {Float64Array} distances Distance to the closest hit of each ray, Infinity if it hit nothing.
+ * @property {Float64Array} points X and y of the closest hit of each ray, or of its end if it hit nothing.
+ * @property {Int32Array} objectIds Index in the objects of the world of the object each ray hit, -1 if it hit nothing.
+ * @property {Int32Array} primitiveIds Index in the buffers of the world of the primitive each ray hit, -1 if it hit nothing or hit an object that could not be packed.
+ */
+
+/**
+ * Distance by which reflected rays are pushed away from the surface they start on, so they do not hit it again.
+ */
+const RAY_OFFSET = 1e-4;
+
+/**
+ * Class representing the world the rays are cast in.
+ * @typedef {Object} World
+ * @property {Object[]} objects Objects the rays can hit.
+ * @property {Number} maxBounces How many times a ray can be reflected or refracted.
+ * @property {Number} minIntensity Intensity under which reflected and refracted rays are not cast anymore.
+ * @property {LightSource[]} lights Lights shining in the world.
+ * @property {Sprite[]} sprites Images standing in the world, seen in the first person view but not hit by rays.
+ * @property {Motion[]} motions Motions moving the objects over time.
+ * @property {Boolean} dirty If objects moved since the world was last drawn.
+ * @property {(UniformGrid|BoundingVolumeHierarchy|Null)} index Spatial index the rays are traced through, null to test every object.
+ * @property {Quadtree} quadtree Index of where the objects are, to find the ones in a region or the closest one to a point.
+ * @property {Number} version Number going up each time objects are added, removed or moved.
+ * @property {Number} structureVersion Number going up each time objects are added or removed or the index changes, but not when objects move.
+ * @property {Map<Object, Number>} movedVersions Version of the world when each object that moved last moved.
+ * @property {(SceneBuffers|Null)} buffers Objects packed for batches of rays, null until a batch is cast.
+ * @property {Number} buffersVersion Version of the world the buffers were packed at.
+ */
+class World{
+  /**
+   * Creates a new world.
+   * @param {Object[]} [objects=[]] Objects the rays can hit.
+   * @param {Object} [options] Options of the world.
+   * @param {Number} [options.maxBounces=8] How many times a ray can be reflected or refracted.
+   * @param {Number} [options.minIntensity=0.01] Intensity under which reflected and refracted rays are not cast anymore.
+   * @param {(UniformGrid|BoundingVolumeHierarchy|Null)} [options.index=null] Spatial index the rays are traced through, null to test every object.
+   * @returns {World} The new world.
+   */
+  constructor(objects = [], {maxBounces = 8, minIntensity = 0.01, index = null} = {}){
+    this.objects = objects;
+    this.maxBounces = maxBounces;
+    this.minIntensity = minIntensity;
+    this.lights = [];
+    this.sprites = [];
+    this.motions = [];
+    this.dirty = true;
+    this.version = 0;
+    this.structureVersion = 0;
+    this.movedVersions = new Map();
+    this.setIndex(index);
+    this.quadtree = new Quadtree();
+    this.quadtree.build(this.objects);
+    this.buffers = null;
+    this.buffersVersion = -1;
+  }
+
+  addObject(object){
+    this.objects.push(object);
+    if(this.index !== null){
+      this.index.insert(object);
+    }
+    this.quadtree.insert(object);
+    this.dirty = true;
+    this.version++;
+    this.structureVersion++;
+  }
+
+  /**
+   * Remove an object from the world, with the motions moving it.
+   * @param {Object} object The object to remove.
+   */
+  removeObject(object){
+    var index = this.objects.indexOf(object);
+    if(index == -1){
+      return;
+    }
+    this.objects.splice(index, 1);
+    if(this.index !== null){
+      this.index.remove(object);
+    }
+    this.quadtree.remove(object);
+    this.motions = this.motions.filter((motion) => motion.object !== object);
+    this.movedVersions.delete(object);
+    this.dirty = true;
+    this.version++;
+    this.structureVersion++;
+  }
+
+  /**
+   * Put an object in the place of another one, keeping the order of the objects.
+   * @param {Number} position Index in the objects of the object to replace.
+   * @param {Object} object The new object.
+   */
+  replaceObject(position, object){
+    var old = this.objects[position];
+    this.objects[position] = object;
+    if(this.index !== null){
+      this.index.remove(old);
+      this.index.insert(object);
+    }
+    this.quadtree.remove(old);
+    this.quadtree.insert(object);
+    this.motions.forEach((motion) => {
+      if(motion.object === old){
+        motion.object = object;
+      }
+    });
+    this.movedVersions.delete(old);
+    this.dirty = true;
+    this.version++;
+    this.movedVersions.set(object, this.version);
+  }
+
+  /**
+   * Change the spatial index the rays are traced through, building it from the objects.
+   * @param {(UniformGrid|BoundingVolumeHierarchy|Null)} index The new index, null to test every object.
+   */
+  setIndex(index){
+    this.index = index;
+    if(index !== null){
+      index.build(this.objects);
+    }
+    this.dirty = true;
+    //the worker gets the whole world again, with the new index
+    this.structureVersion++;
+  }
+
+  /**
+   * Add a light shining in the world.
+   * @param {LightSource} light The light to add.
+   */
+  addLight(light){
+    this.lights.push(light);
+  }
+
+  /**
+   * Remove a light from the world.
+   * @param {LightSource} light The light to remove.
+   */
+  removeLight(light){
+    var index = this.lights.indexOf(light);
+    if(index != -1){
+      this.lights.splice(index, 1);
+    }
+  }
+
+  /**
+   * Add a sprite standing in the world.
+   * @param {Sprite} sprite The sprite to add.
+   */
+  addSprite(sprite){
+    this.sprites.push(sprite);
+  }
+
+  /**
+   * Remove a sprite from the world.
+   * @param {Sprite} sprite The sprite to remove.
+   */
+  removeSprite(sprite){
+    var index = this.sprites.indexOf(sprite);
+    if(index != -1){
+      this.sprites.splice(index, 1);
+    }
+  }
+
+  /**
+   * Add a motion moving one of the objects of the world.
+   * @param {Motion} motion The motion to add.
+   */
+  addMotion(motion){
+    this.motions.push(motion);
+  }
+
+  /**
+   * Remove a motion, leaving its object where it is.
+   * @param {Motion} motion The motion to remove.
+   */
+  removeMotion(motion){
+    var index = this.motions.indexOf(motion);
+    if(index != -1){
+      this.motions.splice(index, 1);
+    }
+  }
+
+  /**
+   * Move the objects to where their motions put them at a time.
+   * @param {Number} time Time in seconds.
+   */
+  update(time){
+    for(var i in this.motions){
+      if(this.motions[i].update(time)){
+        this.updateObject(this.motions[i].object);
+      }
+    }
+  }
+
+  /**
+   * Refresh what the world knows about an object after the object moved.
+   * @param {Object} object The object that moved.
+   */
+  updateObject(object){
+    if(this.index !== null){
+      this.index.update(object);
+    }
+    this.quadtree.update(object);
+    this.dirty = true;
+    this.version++;
+    this.movedVersions.set(object, this.version);
+  }
+
+  /**
+   * Get the objects that moved since a version of the world, as long as none were added or removed since.
+   * @param {Number} version The version of the world.
+   * @returns {Object[]} The index of each object that moved and the object serialized.
+   */
+  getMovedSince(version){
+    var moved = [];
+    this.movedVersions.forEach((movedVersion, object) => {
+      if(movedVersion > version){
+        moved.push({position: this.objects.indexOf(object), object: object.toJSON()});
+      }
+    });
+    return moved;
+  }
+
+  /**
+   * Get a plain object describing the objects of the world, which can be sent to a worker or saved as JSON.
+   * Lights, sprites and motions are left out, and the spatial index only keeps its options.
+   * @returns {Object} The serialized world.
+   */
+  toJSON(){
+    return {
+      objects: this.objects.map((object) => object.toJSON()),
+      maxBounces: this.maxBounces,
+      minIntensity: this.minIntensity,
+      index: this.index === null ? null : this.index.toJSON()
+    };
+  }
+
+  /**
+   * Creates a world from its serialized form.
+   * @param {Object} data The serialized world.
+   * @returns {World} The new world, with the same kind of spatial index built from its objects.
+   */
+  static fromJSON(data){
+    var objects = data.objects.map((object) => World.objectFromJSON(object));
+    var index = data.index === undefined || data.index === null ? null : World.indexFromJSON(data.index);
+    return new World(objects, {maxBounces: data.maxBounces, minIntensity: data.minIntensity, index: index});
+  }
+
+  /**
+   * Creates a spatial index from its serialized form, whatever its type.
+   * @param {Object} data The serialized index.
+   * @returns {(UniformGrid|BoundingVolumeHierarchy)} The new index, empty until it is built.
+   */
+  static indexFromJSON(data){
+    var types = {UniformGrid: UniformGrid, BoundingVolumeHierarchy: BoundingVolumeHierarchy};
+    if(types[data.type] === undefined){
+      throw new Error("Unknown index type " + data.type);
+    }
+    else{
+      return types[data.type].fromJSON(data);
+    }
+  }
+
+  /**
+   * Creates an object of a world from its serialized form, whatever its type.
+   * @param {Object} data The serialized object.
+   * @returns {Object} The new object.
+   */
+  static objectFromJSON(data){
+    var types = {Segment: Segment, Circle: Circle, Arc: Arc, BezierCurve: BezierCurve, Polyline: Polyline, Polygon: Polygon};
+    if(types[data.type] === undefined){
+      throw new Error("Unknown object type " + data.type);
+    }
+    else{
+      return types[data.type].fromJSON(data);
+    }
+  }
+
+  /**
+   * Find the objects whose bounding box overlaps a rectangle.
+   * @param {BoundingBox} box The rectangle.
+   * @returns {Object[]} The objects.
+   */
+  queryRectangle(box){
+    return this.quadtree.queryRectangle(box);
+  }
+
+  /**
+   * Find the objects touching a circle.
+   * @param {Vector2} center Center of the circle.
+   * @param {Number} radius Radius of the circle.
+   * @returns {Object[]} The objects closer to the center than the radius.
+   */
+  queryCircle(center, radius){
+    return this.quadtree.queryCircle(center, radius);
+  }
+
+  /**
+   * Find the closest object to a point.
+   * @param {Vector2} point The point.
+   * @param {Number} [maxDistance=Infinity] Distance beyond which objects are ignored.
+   * @returns {(Object|Null)} The closest object, null if there is none within maxDistance.
+   */
+  findNearestObject(point, maxDistance = Infinity){
+    return this.quadtree.findNearest(point, maxDistance);
+  }
+
+  /**
+   * Find all the hits of a ray with the objects of the world, without reflecting or refracting it.
+   * Every hit is kept in the intersecting points of the ray, not only the closest one, so walls can be seen over lower walls.
+   * With a spatial index, only rays collecting all their hits are guaranteed to get every one of them.
+   * @param {Ray} ray The ray to test.
+   * @returns {(Hit|Null)} The closest hit of the ray, null if it hit nothing.
+   */
+  findHits(ray){
+    if(this.index !== null){
+      return this.index.findHits(ray);
+    }
+    for(var i in this.objects){
+      var hit = this.objects[i].rayIntersects(ray);
+      if(hit !== null){
+        ray.addIntersectingPoint(hit);
+      }
+    }
+    return ray.closestHit;
+  }
+
+  /**
+   * Get the objects packed in typed arrays, packing them again if they changed.
+   * @returns {SceneBuffers} The packed objects.
+   */
+  getBuffers(){
+    if(this.buffers === null || this.buffersVersion != this.version){
+      this.buffers = new SceneBuffers(this.objects);
+      this.buffersVersion = this.version;
+    }
+    return this.buffers;
+  }
+
+  /**
+   * Find the closest hit of a batch of rays, without reflecting or refracting them.
+   * Rays and results are flat typed arrays, so no object is created for each ray, unless the world has objects that could not be packed.
+   * The rays go down the hierarchy of the packed primitives, only testing the primitives whose boxes they cross.
+   * @param {(Float32Array|Float64Array)} origins X and y of the start of each ray.
+   * @param {(Float32Array|Float64Array)} directions X and y of the direction of each ray, which does not have to be normalized.
+   * @param {Object} [options] Options of the batch.
+   * @param {(Number|Float32Array|Float64Array)} [options.maxDistance=2000] Distance after which the rays stop looking for hits, or the distance of each ray.
+   * @param {(BatchHits|Null)} [options.result=null] Results of a previous batch of the same size, whose arrays are filled again instead of creating new ones.
+   * @returns {BatchHits} The closest hit of each ray.
+   */
+  castRays(origins, directions, {maxDistance = 2000, result = null} = {}){
+    if(origins.length != directions.length || origins.length % 2 != 0){
+      throw new Error("World.castRays needs an x and a y for each origin and each direction");
+    }
+    var rayCount = origins.length / 2;
+    if(result === null || result.distances.length != rayCount){
+      result = {distances: new Float64Array(rayCount), points: new Float64Array(rayCount * 2), objectIds: new Int32Array(rayCount), primitiveIds: new Int32Array(rayCount)};
+    }
+
+    var buffers = this.getBuffers();
+    var stack = buffers.stack;
+    for(var i = 0; i < rayCount; i++){
+      var qx = origins[2 * i];
+      var qy = origins[2 * i + 1];
+      var dx = directions[2 * i];
+      var dy = directions[2 * i + 1];
+      var length = Math.sqrt(dx * dx + dy * dy);
+      if(length == 0){
+        throw new Error("Ray direction cannot be [0,0]");
+      }
+      dx /= length;
+      dy /= length;
+      var rayMaxDistance = typeof maxDistance === "number" ? maxDistance : maxDistance[i];
+
+      var closest = Infinity;
+      var closestId = -1;
+      var closestPrimitive = -1;
+      //the nodes are visited the closest first, skipping the ones further than the closest hit found so far
+      var top = 0;
+      if(buffers.nodeCounts.length > 0 && buffers.boxDistance(0, qx, qy, dx, dy) != -1){
+        stack[top++] = 0;
+      }
+      while(top > 0){
+        var node = stack[--top];
+        var count = buffers.nodeCounts[node];
+        if(count > 0){
+          for(var j = buffers.nodeStarts[node]; j < buffers.nodeStarts[node] + count; j++){
+            var primitive = buffers.order[j];
+            var t = buffers.rayDistance(primitive, qx, qy, dx, dy);
+            //the first of equally close hits is kept, as when casting a single ray
+            if(t != -1 && t <= rayMaxDistance && (t < closest || (t == closest && primitive < closestPrimitive))){
+              closest = t;
+              closestId = buffers.objectIds[primitive];
+              closestPrimitive = primitive;
+            }
+          }
+          continue;
+        }
+
+        var limit = Math.min(closest, rayMaxDistance);
+        var left = node + 1;
+        var right = buffers.nodeRights[node];
+        var leftEntry = buffers.boxDistance(left, qx, qy, dx, dy);
+        var rightEntry = buffers.boxDistance(right, qx, qy, dx, dy);
+        var leftHit = leftEntry != -1 && leftEntry <= limit;
+        var rightHit = rightEntry != -1 && rightEntry <= limit;
+        if(leftHit && rightHit){
+          stack[top++] = leftEntry <= rightEntry ? right : left;
+          stack[top++] = leftEntry <= rightEntry ? left : right;
+        }
+        else if(leftHit){
+          stack[top++] = left;
+        }
+        else if(rightHit){
+          stack[top++] = right;
+        }
+      }
+
+      //objects that could not be packed are tested through their own intersection, which needs a ray object
+      if(buffers.unpackedIds.length > 0){
+        var ray = new Ray(new Vector2(qx, qy), new Vector2(dx, dy), {maxDistance: rayMaxDistance});
+        for(var j = 0; j < buffers.unpackedIds.length; j++){
+          var objectId = buffers.unpackedIds[j];
+          var hit = this.objects[objectId].rayIntersects(ray);
+          if(hit !== null && (hit.distance < closest || (hit.distance == closest && objectId < closestId))){
+            closest = hit.distance;
+            closestId = objectId;
+            closestPrimitive = -1;
+          }
+        }
+      }
+
+      var pointDistance = closestId == -1 ? rayMaxDistance : closest;
+      result.distances[i] = closest;
+      result.points[2 * i] = qx + dx * pointDistance;
+      result.points[2 * i + 1] = qy + dy * pointDistance;
+      result.objectIds[i] = closestId;
+      result.primitiveIds[i] = closestPrimitive;
+    }
+    return result;
+  }
+
+  /**
+   * Find the closest hit of rays through castRays, each ray getting the hit record of the object it hit.
+   * The records are made from the points the batch found, only objects that could not be packed being intersected again.
+   * @param {Ray[]} rays The rays to test.
+   * @returns {(Hit|Null)[]} The closest hit of each ray, null if it hit nothing.
+   */
+  findClosestHits(rays){
+    var origins = new Float64Array(rays.length * 2);
+    var directions = new Float64Array(rays.length * 2);
+    var maxDistances = new Float64Array(rays.length);
+    for(var i = 0; i < rays.length; i++){
+      origins[2 * i] = rays[i].startPos.x;
+      origins[2 * i + 1] = rays[i].startPos.y;
+      directions[2 * i] = rays[i].direction.x;
+      directions[2 * i + 1] = rays[i].direction.y;
+      maxDistances[i] = rays[i].maxDistance;
+    }
+    var result = this.castRays(origins, directions, {maxDistance: maxDistances});
+    var buffers = this.getBuffers();
+    for(var i = 0; i < rays.length; i++){
+      if(result.objectIds[i] == -1){
+        continue;
+      }
+      var object = this.objects[result.objectIds[i]];
+      var hit;
+      if(result.primitiveIds[i] == -1){
+        hit = object.rayIntersects(rays[i]);
+      }
+      else{
+        var point = new Vector2(result.points[2 * i], result.points[2 * i + 1]);
+        hit = object.getHit(point, result.distances[i], rays[i].direction, buffers.edgeIds[result.primitiveIds[i]]);
+      }
+      if(hit !== null){
+        rays[i].addIntersectingPoint(hit);
+      }
+    }
+    return rays.map((ray) => ray.closestHit);
+  }
+
+  /**
+   * Compute the area lit by a point light, as seen from origin.
+   * Rays are cast toward every vertex of the objects, and slightly on each side of it to see past corners.
+   * Every object blocks the light, whatever its material.
+   * @param {Vector2} origin Position of the light.
+   * @param {Object} [options] Options of the computation.
+   * @param {Number} [options.maxDistance=2000] How far the light goes.
+   * @param {Number} [options.epsilon=0.0001] Angle in radians between a vertex and the rays cast beside it.
+   * @param {Number} [options.ringSamples=64] How many rays are cast evenly around origin, outlining the lit area where nothing is hit.
+   * @param {Number} [options.startAngle=-Math.PI] Angle in radians where the light starts, going counterclockwise.
+   * @param {Number} [options.endAngle=Math.PI] Angle in radians where the light ends.
+   * @returns {(Polygon|Null)} The lit area, whose vertices are sorted by angle around origin. Less than a full turn of light also has origin as its first vertex.
+   * Null when less than 3 vertices are found, which happens with no ring samples and nothing around or with a narrow light that reaches no vertex.
+   */
+  computeVisibilityPolygon(origin, {maxDistance = 2000, epsilon = 0.0001, ringSamples = 64, startAngle = -Math.PI, endAngle = Math.PI} = {}){
+    var span = Math.min(endAngle - startAngle, 2 * Math.PI);
+    var fullTurn = span >= 2 * Math.PI;
+    //angles are kept as offsets from startAngle, so the ones outside of the light can be left out
+    var offsets = [];
+    for(var i = 0; i < ringSamples; i++){
+      offsets.push(i * 2 * Math.PI / ringSamples);
+    }
+    if(!fullTurn){
+      offsets.push(span);
+    }
+    for(var i in this.objects){
+      var vertices = this.objects[i].getVertices(origin);
+      for(var j in vertices){
+        var angle = vertices[j].sub(origin).angle();
+        offsets.push(angle - startAngle - epsilon, angle - startAngle, angle - startAngle + epsilon);
+      }
+    }
+    offsets = offsets.map((offset) => ((offset % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI));
+    if(!fullTurn){
+      offsets = offsets.filter((offset) => offset <= span);
+    }
+    offsets.sort((a, b) => a - b);
+
+    //without a spatial index to go through, the rays are cast as a batch so no ray is created for each of them
+    var batch = null;
+    if(this.index === null){
+      var origins = new Float64Array(offsets.length * 2);
+      var directions = new Float64Array(offsets.length * 2);
+      for(var i = 0; i < offsets.length; i++){
+        origins[2 * i] = origin.x;
+        origins[2 * i + 1] = origin.y;
+        directions[2 * i] = Math.cos(startAngle + offsets[i]);
+        directions[2 * i + 1] = Math.sin(startAngle + offsets[i]);
+      }
+      batch = this.castRays(origins, directions, {maxDistance: maxDistance});
+    }
+
+    var points = fullTurn ? [] : [origin];
+    for(var i = 0; i < offsets.length; i++){
+      var last = points.length == 0 ? null : points[points.length - 1];
+      if(batch !== null){
+        //the polygon edges cannot have a length of 0, and only the vertices kept become vectors
+        var x = batch.points[2 * i];
+        var y = batch.points[2 * i + 1];
+        if(last === null || last.x !== x || last.y !== y){
+          points.push(new Vector2(x, y));
+        }
+      }
+      else{
+        var angle = startAngle + offsets[i];
+        var ray = new Ray(origin, Vector2.fromAngle(angle), {maxDistance: maxDistance});
+        this.findHits(ray);
+        if(last === null || !last.equals(ray.closestIntersectPoint)){
+          points.push(ray.closestIntersectPoint);
+        }
+      }
+    }
+    if(points.length > 1 && points[0].equals(points[points.length - 1])){
+      points.pop();
+    }
+    if(points.length < 3){
+      return null;
+    }
+    return new Polygon(points);
+  }
+
+  /**
+   * Cast a ray in the world. (will find all of it's intersecting points up to the max distance of the ray)
+   * The light hitting the closest object is then split by its material, the reflected and refracted rays being cast too,
+   * until maxBounces is reached or they get dimmer than minIntensity.
+   * @param {Ray} ray The ray to cast.
+   * @returns {(Hit|Null)} The closest hit of the ray, null if it hit nothing.
+   */
+  castRay(ray){
+    var closestHit = this.findHits(ray);
+    if(closestHit !== null && ray.depth < this.maxBounces){
+      this.splitRay(ray, closestHit);
+    }
+    return closestHit;
+  }
+
+  /**
+   * Create and cast the rays reflected and refracted where a ray hits an object.
+   * @param {Ray} ray The ray that hit the object.
+   * @param {Hit} hit The closest hit of the ray.
+   */
+  splitRay(ray, hit){
+    var remainingDistance = ray.maxDistance - hit.distance;
+    if(remainingDistance <= 0){
+      return;
+    }
+
+    var material = hit.object.material;
+    var reflected = material.reflectivity;
+    var transmitted = (1 - material.opacity) * (1 - material.reflectivity);
+    var d = ray.direction;
+    var n = hit.normal;
+    var cosIncident = -d.dotProduct(n);
+
+    var refractedDirection = d;
+    var refractedMedia = ray.media;
+    //open shapes have no inside, the light goes through them without bending
+    if(transmitted > 0 && hit.object.containsPoint !== undefined){
+      var outerMedia = ray.media.filter((object) => object !== hit.object);
+      var outerIor = outerMedia.length > 0 ? outerMedia[outerMedia.length - 1].material.getIor(ray.wavelength) : 1;
+      var ior = material.getIor(ray.wavelength);
+      var n1 = hit.frontFace ? outerIor : ior;
+      var n2 = hit.frontFace ? ior : outerIor;
+      refractedMedia = hit.frontFace ? outerMedia.concat([hit.object]) : outerMedia;
+
+      //Snell's law : n1 sin(i) = n2 sin(r)
+      var eta = n1 / n2;
+      var k = 1 - eta * eta * (1 - cosIncident * cosIncident);
+      //total internal reflection, nothing gets through
+      if(k < 0){
+        reflected += transmitted;
+        transmitted = 0;
+      }
+      else{
+        refractedDirection = d.multiply(eta).add(n.multiply(eta * cosIncident - Math.sqrt(k)));
+      }
+    }
+
+    if(ray.intensity * reflected >= this.minIntensity){
+      //mirror the direction about the normal : d - 2(d.n)n
+      ray.reflectedRay = new Ray(hit.point.add(n.multiply(RAY_OFFSET)), d.reflect(n), {
+        maxDistance: remainingDistance,
+        depth: ray.depth + 1,
+        intensity: ray.intensity * reflected,
+        travelled: ray.travelled + hit.distance,
+        media: ray.media,
+        wavelength: ray.wavelength,
+        color: ray.color,
+        pool: ray.pool
+      });
+      this.castRay(ray.reflectedRay);
+    }
+    if(ray.intensity * transmitted >= this.minIntensity){
+      ray.refractedRay = new Ray(hit.point.sub(n.multiply(RAY_OFFSET)), refractedDirection, {
+        maxDistance: remainingDistance,
+        depth: ray.depth + 1,
+        intensity: ray.intensity * transmitted,
+        travelled: ray.travelled + hit.distance,
+        media: refractedMedia,
+        wavelength: ray.wavelength,
+        color: ray.color,
+        pool: ray.pool
+      });
+      this.castRay(ray.refractedRay);
+    }
+  }
+}
+
+/**
+ * Result of a benchmark for one spatial index on one generated scene.
+ * @typedef {Object} BenchmarkResult
+ * @property {Number} objectCount How many objects the scene has.
+ * @property {String} index Name of the index.
+ * @property {Number} buildTime Time in milliseconds taken to build the index.
+ * @property {Number} castTime Time in milliseconds taken to find the hits of every ray.
+ * @property {Number} mismatches How many rays found different hits than by testing every object.
+ */
+
+/**
+ * Class comparing the spatial indexes on randomly generated scenes.
+ * @typedef {Object} Benchmark
+ * @property {Number[]} objectCounts How many objects each generated scene has.
+ * @property {Number} rayCount How many rays are cast in each scene.
+ * @property {Number} size Length of the side of the square the scenes are generated in.
+ * @property {Boolean} collectAll If the rays look for every hit, or only for the closest one.
+ */
+class Benchmark{
+  /**
+   * Creates a new benchmark.
+   * @param {Object} [options] Options of the benchmark.
+   * @param {Number[]} [options.objectCounts=[100,1000,5000]] How many objects each generated scene has.
+   * @param {Number} [options.rayCount=2000] How many rays are cast in each scene.
+   * @param {Number} [options.size=2000] Length of the side of the square the scenes are generated in.
+   * @param {Boolean} [options.collectAll=false] If the rays look for every hit, or only for the closest one.
+   * @returns {Benchmark} The new benchmark.
+   */
+  constructor({objectCounts = [100, 1000, 5000], rayCount = 2000, size = 2000, collectAll = false} = {}){
+    this.objectCounts = objectCounts;
+    this.rayCount = rayCount;
+    this.size = size;
+    this.collectAll = collectAll;
+  }
+
+  /**
+   * Get a random point of the square the scenes are generated in.
+   * @returns {Vector2} The point.
+   */
+  randomPoint(){
+    return new Vector2((Math.random() - 0.5) * this.size, (Math.random() - 0.5) * this.size);
+  }
+
+  /**
+   * Generate the objects of a scene, mostly short segments with a few circles, crowded around a few spots so the scene is uneven.
+   * @param {Number} count How many objects to generate.
+   * @returns {Object[]} The objects.
+   */
+  generateObjects(count){
+    var spots = [this.randomPoint(), this.randomPoint(), this.randomPoint()];
+    var objects = [];
+    for(var i = 0; i < count; i++){
+      var position = this.randomPoint();
+      //half of the objects gather around the spots
+      if(i % 2 == 0){
+        var spot = spots[i % spots.length];
+        position = spot.add(position.sub(spot).multiply(0.1));
+      }
+      if(i % 10 == 0){
+        objects.push(new Circle(position, 1 + Math.random() * this.size / 100));
+      }
+      else{
+        var angle = Math.random() * 2 * Math.PI;
+        var length = 1 + Math.random() * this.size / 50;
+        objects.push(new Segment(position, position.add(Vector2.fromAngle(angle, length))));
+      }
+    }
+    return objects;
+  }
+
+  /**
+   * Generate a scene and cast the same rays in it through every index.
+   * @param {Number} objectCount How many objects the scene has.
+   * @returns {BenchmarkResult[]} The results, index by index.
+   */
+  runScene(objectCount){
+    var indexes = [
+      {name: "brute force", create: () => null},
+      {name: "uniform grid", create: () => new UniformGrid()},
+      {name: "bvh (median)", create: () => new BoundingVolumeHierarchy({split: "median"})},
+      {name: "bvh (sah)", create: () => new BoundingVolumeHierarchy({split: "sah"})}
+    ];
+    var objects = this.generateObjects(objectCount);
+    var rays = [];
+    for(var i = 0; i < this.rayCount; i++){
+      var angle = Math.random() * 2 * Math.PI;
+      rays.push({startPos: this.randomPoint(), direction: Vector2.fromAngle(angle)});
+    }
+
+    var results = [];
+    var expected = null;
+    for(var i in indexes){
+      var buildStart = performance.now();
+      var world = new World(objects, {index: indexes[i].create()});
+      var buildTime = performance.now() - buildStart;
+
+      var castStart = performance.now();
+      var hits = rays.map((ray) => {
+        var cast = new Ray(ray.startPos, ray.direction, {maxDistance: this.size, collectAll: this.collectAll});
+        var closestHit = world.findHits(cast);
+        //without collectAll, the indexes skip the hits further than the closest one they can
+        if(!this.collectAll){
+          return closestHit === null ? [] : [closestHit.object];
+        }
+        return cast.intersectingPoints.map((hit) => hit.object);
+      });
+      var castTime = performance.now() - castStart;
+
+      //brute force comes first and is the reference
+      if(expected === null){
+        expected = hits;
+      }
+      var mismatches = hits.filter((objects, k) => !this.sameObjects(objects, expected[k])).length;
+      results.push({objectCount: objects.length, index: indexes[i].name, buildTime: buildTime, castTime: castTime, mismatches: mismatches});
+    }
+    return results;
+  }
+
+  /**
+   * Check if two rays hit the same objects, the order of the hits at the same distance depending on the index.
+   * @param {Object[]} objects Object of each hit of a ray.
+   * @param {Object[]} expected Object of each hit of the other ray.
+   * @returns {Boolean} True if the objects are the same, as many times each.
+   */
+  sameObjects(objects, expected){
+    if(objects.length != expected.length){
+      return false;
+    }
+    var left = expected.slice();
+    for(var i in objects){
+      var index = left.indexOf(objects[i]);
+      if(index == -1){
+        return false;
+      }
+      left.splice(index, 1);
+    }
+    return true;
+  }
+
+  /**
+   * Run the benchmark on every scene at once.
+   * @returns {BenchmarkResult[]} The results, scene by scene.
+   */
+  run(){
+    var results = [];
+    for(var i in this.objectCounts){
+      results = results.concat(this.runScene(this.objectCounts[i]));
+    }
+    return results;
+  }
+}
+
+/**
+ * Where a motion puts its object, relative to where the object was when the motion started.
+ * @typedef {Object} Transform
+ * @property {Vector2} offset Vector the object is moved by, after being turned.
+ * @property {Number} angle Angle in radians the object is turned by counterclockwise around the pivot of the motion.
+ */
+
+/**
+ * Class moving an object of the world over time. Doesn't move anything by itself, the other motions extend it.
+ * @typedef {Object} Motion
+ * @property {Object} object Object moved by the motion.
+ * @property {Vector2} pivot Point the object turns around, where it was when the motion started.
+ * @property {Transform} transform Where the motion currently puts the object.
+ */
+class Motion{
+  /**
+   * Creates a new motion.
+   * @param {Object} object Object moved by the motion, which must be able to translate and rotate.
+   * @param {Vector2} [pivot] Point the object turns around, the origin by default.
+   * @returns {Motion} The new motion.
+   */
+  constructor(object, pivot = new Vector2()){
+    if(object.translate === undefined || object.rotate === undefined){
+      throw new Error("Motion object must be able to translate and rotate");
+    }
+    else{
+      this.object = object;
+      this.pivot = pivot;
+      this.transform = {offset: new Vector2(), angle: 0};
+    }
+  }
+
+  /**
+   * Get where the object is at a time.
+   * @param {Number} time Time in seconds.
+   * @returns {Transform} Where the object is.
+   */
+  getTransform(time){
+    return this.transform;
+  }
+
+  /**
+   * Move the object to where it is at a time.
+   * @param {Number} time Time in seconds.
+   * @returns {Boolean} True if the object moved.
+   */
+  update(time){
+    var transform = this.getTransform(time);
+    if(transform.offset.equals(this.transform.offset) && transform.angle == this.transform.angle){
+      return false;
+    }
+
+    //go back to where the motion started before moving, so the moves do not add up
+    this.object.translate(this.transform.offset.multiply(-1));
+    this.object.rotate(transform.angle - this.transform.angle, this.pivot);
+    this.object.translate(transform.offset);
+    this.transform = transform;
+    return true;
+  }
+}
+
+/**
+ * Motion sliding an object along an axis between a closed and an open position, like a door.
+ * @typedef {Object} SlidingMotion
+ * @property {Vector2} axis Vector the object is moved by when fully open.
+ * @property {Number} duration Time in seconds the object takes to open or close.
+ * @property {Number} openness How far the object is open, between 0 (closed) and 1 (open).
+ * @property {Boolean} open If the object is opening, or closing otherwise.
+ * @property {(Number|Null)} lastTime Time of the last update, null before the first one.
+ */
+class SlidingMotion extends Motion{
+  /**
+   * Creates a new sliding motion.
+   * @param {Object} object Object moved by the motion, closed where it is.
+   * @param {Vector2} axis Vector the object is moved by when fully open.
+   * @param {Object} [options] Options of the motion.
+   * @param {Number} [options.duration=1] Time in seconds the object takes to open or close.
+   * @param {Boolean} [options.open=false] If the object starts opening.
+   * @returns {SlidingMotion} The new sliding motion.
+   */
+  constructor(object, axis, {duration = 1, open = false} = {}){
+    if(duration <= 0){
+      throw new Error("SlidingMotion duration must be greater than 0");
+    }
+    else{
+      super(object);
+      this.axis = axis;
+      this.duration = duration;
+      this.openness = 0;
+      this.open = open;
+      this.lastTime = null;
+    }
+  }
+
+  /**
+   * Open the object if it is closing, close it otherwise.
+   */
+  toggle(){
+    this.open = !this.open;
+  }
+
+  /**
+   * Get where the object is at a time, moving it toward open or closed by the time elapsed since the last update.
+   * @param {Number} time Time in seconds.
+   * @returns {Transform} Where the object is.
+   */
+  getTransform(time){
+    var elapsed = this.lastTime === null ? 0 : time - this.lastTime;
+    this.lastTime = time;
+    var step = elapsed / this.duration;
+    this.openness = Math.min(Math.max(this.openness + (this.open ? step : -step), 0), 1);
+    //smoothstep, so the object starts and stops gently
+    var eased = this.openness * this.openness * (3 - 2 * this.openness);
+    return {offset: this.axis.multiply(eased), angle: 0};
+  }
+}
+
+/**
+ * Motion turning an object around a pivot at a constant speed.
+ * @typedef {Object} RotatingMotion
+ * @property {Number} speed Angle in radians the object turns by each second, counterclockwise.
+ */
+class RotatingMotion extends Motion{
+  /**
+   * Creates a new rotating motion.
+   * @param {Object} object Object moved by the motion.
+   * @param {Vector2} pivot Point the object turns around.
+   * @param {Object} [options] Options of the motion.
+   * @param {Number} [options.speed=Math.PI/4] Angle in radians the object turns by each second, negative to turn clockwise.
+   * @returns {RotatingMotion} The new rotating motion.
+   */
+  constructor(object, pivot, {speed = Math.PI / 4} = {}){
+    super(object, pivot);
+    this.speed = speed;
+  }
+
+  /**
+   * Get where the object is at a time, having turned since the time 0.
+   * @param {Number} time Time in seconds.
+   * @returns {Transform} Where the object is.
+   */
+  getTransform(time){
+    return {offset: new Vector2(), angle: (this.speed * time) % (2 * Math.PI)};
+  }
+}
+
+/**
+ * Where a keyframed motion puts its object at a time.
+ * @typedef {Object} Keyframe
+ * @property {Number} time Time in seconds.
+ * @property {Vector2} offset Vector the object is moved by, after being turned.
+ * @property {Number} [angle=0] Angle in radians the object is turned by around the pivot of the motion.
+ */
+
+/**
+ * Motion following keyframes, the object going in a straight line from one to the next.
+ * @typedef {Object} KeyframedMotion
+ * @property {Keyframe[]} keyframes The keyframes, sorted by time.
+ * @property {Boolean} loop If the motion starts again after the last keyframe, or stays there.
+ */
+class KeyframedMotion extends Motion{
+  /**
+   * Creates a new keyframed motion.
+   * @param {Object} object Object moved by the motion.
+   * @param {Keyframe[]} keyframes Where the object is at given times.
+   * @param {Object} [options] Options of the motion.
+   * @param {Vector2} [options.pivot] Point the object turns around, the origin by default.
+   * @param {Boolean} [options.loop=true] If the motion starts again after the last keyframe, or stays there.
+   * @returns {KeyframedMotion} The new keyframed motion.
+   */
+  constructor(object, keyframes = [], {pivot = new Vector2(), loop = true} = {}){
+    if(keyframes.length == 0){
+      throw new Error("KeyframedMotion needs at least 1 keyframe");
+    }
+    else{
+      super(object, pivot);
+      this.keyframes = keyframes.slice().sort((a, b) => a.time - b.time);
+      this.loop = loop;
+    }
+  }
+
+  /**
+   * Get where the object is at a time, in between the keyframes around it.
+   * @param {Number} time Time in seconds.
+   * @returns {Transform} Where the object is.
+   */
+  getTransform(time){
+    var first = this.keyframes[0];
+    var last = this.keyframes[this.keyframes.length - 1];
+    if(this.loop && last.time > first.time){
+      var length = last.time - first.time;
+      time = first.time + ((((time - first.time) % length) + length) % length);
+    }
+
+    var next = 0;
+    while(next < this.keyframes.length && this.keyframes[next].time <= time){
+      next++;
+    }
+    //before the first keyframe or after the last one, the object stays there
+    if(next == 0 || next == this.keyframes.length){
+      var keyframe = next == 0 ? first : last;
+      return {offset: keyframe.offset, angle: keyframe.angle || 0};
+    }
+
+    var from = this.keyframes[next - 1];
+    var to = this.keyframes[next];
+    var progress = (time - from.time) / (to.time - from.time);
+    return {
+      offset: from.offset.add(to.offset.sub(from.offset).multiply(progress)),
+      angle: (from.angle || 0) + ((to.angle || 0) - (from.angle || 0)) * progress
+    };
+  }
+}
+
+/**
+ * Paths of the rays of lights, cast by a worker.
+ * @typedef {Object} RayFrame
+ * @property {Number} id Number of the request the frame answers.
+ * @property {LightSource[]} lights The lights whose rays were cast.
+ * @property {PathSegment[][]} paths Path segments of the rays of each light.
+ */
 
-    var q = ray.startPos;
-    var s = ray.direction.normalized().multiply(ray.maxDistance).sub(ray.startPos);
+/**
+ * Class casting the rays of lights in a Web Worker (raycast.worker.js), so the sketch never waits for them.
+ * A single request is computed at a time, the ones made meanwhile being dropped but the last one, sent when the frame arrives.
+ * @typedef {Object} RayWorker
+ * @property {Worker} worker The worker casting the rays.
+ * @property {Function} onFrame Called with each frame when it arrives, and with null when the worker stops on an error.
+ * @property {(RayFrame|Null)} frame Latest frame that arrived.
+ * @property {(Object|Null)} pending Latest request waiting for the worker, with the world and lights to cast.
+ * @property {Boolean} busy If the worker is computing a frame.
+ * @property {Number} requestCount How many requests were sent to the worker.
+ * @property {(World|Null)} sentWorld World the worker has.
+ * @property {Number} sentVersion Version of the world the worker has, the objects that moved since being sent again.
+ * @property {Number} sentStructureVersion Structure version of the world the worker has, every object being sent again when it changes.
+ * @property {LightSource[]} lights Lights of the request the worker is computing.
+ * @property {(ErrorEvent|Null)} error Error the worker stopped on, null if it works.
+ */
+class RayWorker{
+  /**
+   * Creates a new ray worker.
+   * @param {String} [url="raycast.worker.js"] Address of the worker script.
+   * @param {Function} [onFrame] Called with each frame when it arrives, and with null when the worker stops on an error.
+   * @returns {RayWorker} The new ray worker.
+   */
+  constructor(url = "raycast.worker.js", onFrame = () => {}){
+    this.worker = new Worker(url);
+    this.worker.onmessage = (event) => this.receive(event.data);
+    //no frame will come anymore, the sketch has to draw without the worker
+    this.worker.onerror = (event) => {
+      this.error = event;
+      this.busy = false;
+      this.pending = null;
+      this.onFrame(null);
+    };
+    this.onFrame = onFrame;
+    this.frame = null;
+    this.pending = null;
+    this.busy = false;
+    this.requestCount = 0;
+    this.sentWorld = null;
+    this.sentVersion = -1;
+    this.sentStructureVersion = -1;
+    this.lights = [];
+    this.error = null;
+  }
 
-    //store some calculations to avoid repeating operations
-    var rXs = r.crossProduct(s);
-    var qMp = q.sub(p);
-    var qMp_Xr = qMp.crossProduct(r);
-    
-    //edge cases
-    //if the lines are collinear
-    if(rXs == qMp_Xr){
-      var t0 = qMp_Xr;
-      var t1 = t0 + s.crossProduct(r) / r.crossProduct(r);
+  /**
+   * Ask for the rays of lights to be cast in a world.
+   * @param {World} world The world to cast the rays in.
+   * @param {LightSource[]} lights The lights casting the rays.
+   */
+  request(world, lights){
+    this.pending = {world: world, lights: lights.slice()};
+    if(!this.busy){
+      this.send();
+    }
+  }
+
+  /**
+   * Send the pending request to the worker.
+   * The whole world is only sent when objects were added or removed, the objects that moved being sent on their own otherwise.
+   */
+  send(){
+    var world = this.pending.world;
+    var lights = this.pending.lights;
+    var sendScene = world !== this.sentWorld || world.structureVersion != this.sentStructureVersion;
+    this.requestCount++;
+    this.worker.postMessage({
+      id: this.requestCount,
+      scene: sendScene ? world.toJSON() : null,
+      moved: sendScene ? [] : world.getMovedSince(this.sentVersion),
+      lights: lights.map((light) => light.toJSON())
+    });
+    this.sentWorld = world;
+    this.sentVersion = world.version;
+    this.sentStructureVersion = world.structureVersion;
+    this.lights = lights;
+    this.pending = null;
+    this.busy = true;
+  }
+
+  /**
+   * Keep the frame sent back by the worker, then send the request that waited for it.
+   * @param {Object} message The id of the request and the packed paths of each light.
+   */
+  receive(message){
+    this.busy = false;
+    this.frame = {id: message.id, lights: this.lights, paths: message.paths.map((array) => PathSegment.unpack(array))};
+    if(this.pending !== null){
+      this.send();
+    }
+    this.onFrame(this.frame);
+  }
+}
+
+/**
+ * Class representing an image standing on the floor, always facing the camera in the first person view (billboard).
+ * @typedef {Object} Sprite
+ * @property {Vector2} position Where the sprite stands.
+ * @property {(p5.Image|Null)} image Image of the sprite.
+ * @property {Number} scale Height of the sprite relative to the height of the walls.
+ */
+class Sprite{
+  /**
+   * Creates a new sprite.
+   * @param {Vector2} [position] Where the sprite stands.
+   * @param {(p5.Image|Null)} [image=null] Image of the sprite, which can be set once loaded.
+   * @param {Number} [scale=0.5] Height of the sprite relative to the height of the walls.
+   * @returns {Sprite} The new sprite.
+   */
+  constructor(position = new Vector2(), image = null, scale = 0.5){
+    if(scale <= 0){
+      throw new Error("Sprite scale must be greater than 0");
+    }
+    else{
+      this.position = position;
+      this.image = image;
+      this.scale = scale;
+    }
+  }
+
+  /**
+   * Draw a marker where the sprite stands via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   */
+  draw(sketch){
+    sketch.push();
+    sketch.noStroke();
+    sketch.fill(230, 50, 60);
+    //Reverse to imitate a standard x,y coordinate system.
+    sketch.rect(this.position.x - 4, -this.position.y - 4, 8, 8);
+    sketch.pop();
+  }
+}
+
+/**
+ * Hit of the ray cast for a column of the first person view.
+ * @typedef {Object} Column
+ * @property {Ray} ray The ray cast for the column.
+ * @property {(Hit|Null)} hit The closest hit of the ray, null if it hit nothing.
+ * @property {Hit[]} hits The walls seen in the column, from the closest to the one hiding everything behind it.
+ * @property {Number} distance Distance from the camera plane to the wall hiding everything behind it, Infinity if there is none.
+ */
+
+/**
+ * Class representing the eye of a first person view, rendering the world as walls like Wolfenstein 3D.
+ * @typedef {Object} Camera
+ * @property {Vector2} position Where the camera is.
+ * @property {Number} heading Angle in radians the camera is looking toward.
+ * @property {Number} fov Horizontal angle in radians seen by the camera.
+ * @property {Number} maxDistance How far the camera sees.
+ * @property {Number} wallHeight Height of the ceiling, the camera being halfway up.
+ * @property {Number} fogDistance Distance over which the walls fade to a third of their brightness.
+ * @property {Number} resolutionScale Ratio between the resolution of the rendering and the size it is drawn at.
+ * @property {Number[]} ceilingColor RGB colour above the walls, where there is no ceiling texture.
+ * @property {Number[]} floorColor RGB colour below the walls, where there is no floor texture.
+ * @property {(p5.Image|Null)} floorTexture Image tiling the floor.
+ * @property {(p5.Image|Null)} ceilingTexture Image tiling the ceiling.
+ * @property {Number} floorTextureScale Length in world units covered by the floor and ceiling textures before they repeat.
+ * @property {(p5.Image|Null)} skyTexture Panorama covering a full turn, shown instead of the ceiling.
+ * @property {(p5.Graphics|Null)} buffer Offscreen buffer the view is rendered in.
+ * @property {Map<p5.Image, p5.Image[]>} foggedImages Darkened copies of the sprite images, by level of brightness.
+ */
+class Camera{
+  /**
+   * Creates a new camera.
+   * @param {Vector2} [position] Where the camera is.
+   * @param {Object} [options] Options of the camera.
+   * @param {Number} [options.heading=0] Angle in radians the camera is looking toward.
+   * @param {Number} [options.fov=Math.PI/3] Horizontal angle in radians seen by the camera.
+   * @param {Number} [options.maxDistance=2000] How far the camera sees.
+   * @param {Number} [options.wallHeight=100] Height of the ceiling, the camera being halfway up.
+   * @param {Number} [options.fogDistance=600] Distance over which the walls fade to a third of their brightness.
+   * @param {Number} [options.resolutionScale=0.5] Ratio between the resolution of the rendering and the size it is drawn at.
+   * @param {Number[]} [options.ceilingColor=[40,40,50]] RGB colour above the walls, where there is no ceiling texture.
+   * @param {Number[]} [options.floorColor=[70,60,50]] RGB colour below the walls, where there is no floor texture.
+   * @param {(p5.Image|Null)} [options.floorTexture=null] Image tiling the floor.
+   * @param {(p5.Image|Null)} [options.ceilingTexture=null] Image tiling the ceiling.
+   * @param {Number} [options.floorTextureScale=64] Length in world units covered by the floor and ceiling textures before they repeat.
+   * @param {(p5.Image|Null)} [options.skyTexture=null] Panorama covering a full turn, shown instead of the ceiling.
+   * @returns {Camera} The new camera.
+   */
+  constructor(position = new Vector2(), {heading = 0, fov = Math.PI / 3, maxDistance = 2000, wallHeight = 100, fogDistance = 600, resolutionScale = 0.5,
+    ceilingColor = [40,40,50], floorColor = [70,60,50], floorTexture = null, ceilingTexture = null, floorTextureScale = 64, skyTexture = null} = {}){
+    if(fov <= 0 || fov >= Math.PI){
+      throw new Error("Camera field of view must be between 0 and PI");
+    }
+    else{
+      this.position = position;
+      this.heading = heading;
+      this.fov = fov;
+      this.maxDistance = maxDistance;
+      this.wallHeight = wallHeight;
+      this.fogDistance = fogDistance;
+      this.resolutionScale = resolutionScale;
+      this.ceilingColor = ceilingColor;
+      this.floorColor = floorColor;
+      this.floorTexture = floorTexture;
+      this.ceilingTexture = ceilingTexture;
+      this.floorTextureScale = floorTextureScale;
+      this.skyTexture = skyTexture;
+      this.buffer = null;
+      this.foggedImages = new Map();
+    }
+  }
+
+  /**
+   * Get the direction the camera is looking toward.
+   * @returns {Vector2} The unit direction.
+   */
+  getForward(){
+    return Vector2.fromAngle(this.heading);
+  }
+
+  /**
+   * Get the direction on the right of the camera.
+   * @returns {Vector2} The unit direction.
+   */
+  getRight(){
+    return new Vector2(Math.sin(this.heading), -Math.cos(this.heading));
+  }
+
+  /**
+   * Turn the camera counterclockwise.
+   * @param {Number} angle Angle in radians to turn by.
+   */
+  rotate(angle){
+    this.heading += angle;
+  }
+
+  /**
+   * Move the camera along its heading.
+   * @param {Number} distance Distance to move by, negative to move backward.
+   */
+  moveForward(distance){
+    this.position = this.position.add(this.getForward().multiply(distance));
+  }
+
+  /**
+   * Get the direction of the ray of a column.
+   * Columns are evenly spread on the camera plane rather than by angle, so straight walls stay straight.
+   * @param {Number} column Index of the column, 0 being the leftmost.
+   * @param {Number} columnCount How many columns the view has.
+   * @returns {Vector2} The direction, whose projection on the heading has a length of 1.
+   */
+  getColumnDirection(column, columnCount){
+    var planeX = 2 * (column + 0.5) / columnCount - 1;
+    return this.getForward().add(this.getRight().multiply(planeX * Math.tan(this.fov / 2)));
+  }
 
-      if((t0 >= 0 && t0 <= 1) || (t1 >= 0 && t1 <= 1)){
-        if(s.crossProduct(r) < 0){
-          return p.add(r);
+  /**
+   * Cast one ray per column of the view in a world.
+   * The rays are not reflected nor refracted, only the walls they reach are drawn.
+   * @param {World} world The world to look at.
+   * @param {Number} columnCount How many columns the view has.
+   * @returns {Column[]} The hits of the columns, from left to right.
+   */
+  castColumns(world, columnCount){
+    var columns = [];
+    for(var i = 0; i < columnCount; i++){
+      var direction = this.getColumnDirection(i, columnCount);
+      var ray = new Ray(this.position, direction, {maxDistance: this.maxDistance, collectAll: true, pool: VECTOR_POOL});
+      var hit = world.findHits(ray);
+      //walls lower than the ceiling or above the floor let the ones behind them be seen
+      var hits = [];
+      var distance = Infinity;
+      for(var j in ray.intersectingPoints){
+        var wallHit = ray.intersectingPoints[j];
+        hits.push(wallHit);
+        if(this.isHidingBehind(wallHit.object)){
+          distance = this.getPlaneDistance(ray, wallHit);
+          break;
         }
-        else{
-          return p;
+      }
+      columns.push({ray: ray, hit: hit, hits: hits, distance: distance});
+    }
+    return columns;
+  }
+
+  /**
+   * Get the distance of a hit from the camera plane, which unlike the ray distance does not bend straight walls (fisheye).
+   * @param {Ray} ray The ray of the column.
+   * @param {Hit} hit A hit of the ray.
+   * @returns {Number} The distance projected on the heading.
+   */
+  getPlaneDistance(ray, hit){
+    return hit.distance * ray.direction.dotProduct(this.getForward());
+  }
+
+  /**
+   * Get the heights between which an object stands as a wall.
+   * Objects without heights go from the floor to the ceiling.
+   * @param {Object} object The object hit.
+   * @returns {Number[]} The bottom and the top of the wall, clamped between the floor and the ceiling.
+   */
+  getWallHeights(object){
+    var bottom = object.bottom === undefined ? 0 : object.bottom;
+    var top = object.top === undefined ? Infinity : object.top;
+    return [Math.max(bottom, 0), Math.min(top, this.wallHeight)];
+  }
+
+  /**
+   * Check if an object stands from the floor to the ceiling and is opaque, hiding everything behind it.
+   * @param {Object} object The object hit.
+   * @returns {Boolean} True if nothing can be seen past the object.
+   */
+  isHidingBehind(object){
+    //light goes through materials that are not fully opaque, like glass
+    if(object.material !== undefined && object.material.opacity < 1){
+      return false;
+    }
+    var heights = this.getWallHeights(object);
+    return heights[0] <= 0 && heights[1] >= this.wallHeight;
+  }
+
+  /**
+   * Get the focal length of the view, which scales the walls with their distance.
+   * @param {Number} width Width of the view in pixels.
+   * @returns {Number} The distance in pixels between the eye and the screen.
+   */
+  getFocalLength(width){
+    return (width / 2) / Math.tan(this.fov / 2);
+  }
+
+  /**
+   * Render the view of the world in the buffer and draw it via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
+   * @param {World} world The world to look at.
+   * @param {Number} x Left of the view on the canvas.
+   * @param {Number} y Top of the view on the canvas.
+   * @param {Number} width Width of the view on the canvas.
+   * @param {Number} height Height of the view on the canvas.
+   */
+  render(sketch, world, x, y, width, height){
+    var bufferWidth = Math.max(1, Math.floor(width * this.resolutionScale));
+    var bufferHeight = Math.max(1, Math.floor(height * this.resolutionScale));
+    if(this.buffer === null || this.buffer.width != bufferWidth || this.buffer.height != bufferHeight){
+      this.buffer = sketch.createGraphics(bufferWidth, bufferHeight);
+      this.buffer.pixelDensity(1);
+    }
+    var buffer = this.buffer;
+
+    this.renderFloorAndCeiling(buffer);
+
+    buffer.push();
+    buffer.noStroke();
+
+    var columns = this.castColumns(world, bufferWidth);
+    for(var i = 0; i < columns.length; i++){
+      //the furthest walls first, so the closer ones are drawn over them
+      for(var j = columns[i].hits.length - 1; j >= 0; j--){
+        this.drawWall(buffer, columns[i], columns[i].hits[j], i);
+      }
+    }
+
+    this.renderSprites(buffer, world.sprites, columns);
+    buffer.pop();
+
+    sketch.image(buffer, x, y, width, height);
+  }
+
+  /**
+   * Draw the strip of a wall in a column of the buffer.
+   * @param {p5.Graphics} buffer The buffer to draw on.
+   * @param {Column} column The column showing the wall.
+   * @param {Hit} hit The hit of the wall.
+   * @param {Number} x Left of the strip in the buffer.
+   */
+  drawWall(buffer, column, hit, x){
+    var distance = this.getPlaneDistance(column.ray, hit);
+    var scale = this.getFocalLength(buffer.width) / distance;
+    var heights = this.getWallHeights(hit.object);
+    //the eye is halfway up to the ceiling, on the horizon
+    var eyeHeight = this.wallHeight / 2;
+    var top = buffer.height / 2 + (eyeHeight - heights[1]) * scale;
+    var stripHeight = (heights[1] - heights[0]) * scale;
+
+    var material = hit.object.material;
+    var shade = this.getShade(column, hit);
+    //the walls behind a transparent one show through it
+    var alpha = material.opacity * 255;
+    if(material.texture !== null && material.texture.width > 0){
+      buffer.tint(255, alpha);
+      this.drawTexturedStrip(buffer, column, hit, x, top, stripHeight);
+      buffer.noTint();
+      //darken the texture by covering it with a partly transparent black strip
+      buffer.fill(0, 0, 0, (1 - shade) * alpha);
+    }
+    else{
+      buffer.fill(material.color[0] * shade, material.color[1] * shade, material.color[2] * shade, alpha);
+    }
+    buffer.rect(x, top, 1, stripHeight);
+  }
+
+  /**
+   * Draw the sprites facing the camera, from the furthest to the closest so the closest ones cover the others.
+   * Each column of a sprite is only drawn where it is in front of the wall hiding everything in that column,
+   * the lower walls in front of it being drawn again over it.
+   * @param {p5.Graphics} buffer The buffer to draw on.
+   * @param {Sprite[]} sprites The sprites to draw.
+   * @param {Column[]} columns The columns of the view, their distance being the depth of the sprites they can show.
+   */
+  renderSprites(buffer, sprites, columns){
+    var width = buffer.width;
+    var horizon = buffer.height / 2;
+    var focalLength = this.getFocalLength(width);
+    var forward = this.getForward();
+    var right = this.getRight();
+
+    var visible = [];
+    for(var i in sprites){
+      var relative = sprites[i].position.sub(this.position);
+      var depth = relative.dotProduct(forward);
+      //behind the camera, or too close to be drawn
+      if(sprites[i].image !== null && sprites[i].image.width > 0 && depth > 1){
+        visible.push({sprite: sprites[i], depth: depth, lateral: relative.dotProduct(right)});
+      }
+    }
+    visible.sort((a, b) => b.depth - a.depth);
+
+    for(var i in visible){
+      var sprite = visible[i].sprite;
+      var depth = visible[i].depth;
+      var image = sprite.image;
+      var spriteHeight = sprite.scale * this.wallHeight * focalLength / depth;
+      var spriteWidth = spriteHeight * image.width / image.height;
+      //the sprite stands on the floor, which is half a wall below the eye
+      var bottom = horizon + (this.wallHeight / 2) * focalLength / depth;
+      var centerX = width / 2 + visible[i].lateral * focalLength / depth;
+      var left = centerX - spriteWidth / 2;
+      //a dark strip over the image would also cover its transparent parts
+      image = this.getFoggedImage(image, this.getFog(depth));
+
+      var firstColumn = Math.max(0, Math.floor(left));
+      var lastColumn = Math.min(width - 1, Math.floor(left + spriteWidth));
+      for(var x = firstColumn; x <= lastColumn; x++){
+        var column = columns[x];
+        if(depth >= column.distance){
+          continue;
+        }
+        var imageX = Math.floor((x + 0.5 - left) / spriteWidth * image.width);
+        if(imageX < 0 || imageX >= image.width){
+          continue;
+        }
+        buffer.image(image, x, bottom - spriteHeight, 1, spriteHeight, imageX, 0, 1, image.height);
+        for(var j = column.hits.length - 1; j >= 0; j--){
+          if(this.getPlaneDistance(column.ray, column.hits[j]) < depth){
+            this.drawWall(buffer, column, column.hits[j], x);
+          }
         }
       }
-      else{
-        return null;
+    }
+  }
+
+  /**
+   * Get a copy of an image darkened by the fog, keeping its transparency.
+   * The brightness is rounded to one of 16 levels so the copies can be reused.
+   * @param {p5.Image} image The image to darken.
+   * @param {Number} fog The remaining brightness, between 0 and 1.
+   * @returns {p5.Image} The darkened image, or the image itself if the fog is too light to show.
+   */
+  getFoggedImage(image, fog){
+    var level = Math.round(fog * 15);
+    if(level == 15){
+      return image;
+    }
+    if(!this.foggedImages.has(image)){
+      this.foggedImages.set(image, []);
+    }
+    var levels = this.foggedImages.get(image);
+    if(levels[level] === undefined){
+      var pixels = this.getTexturePixels(image);
+      var fogged = new p5.Image(image.width, image.height);
+      fogged.loadPixels();
+      for(var i = 0; i < pixels.length; i += 4){
+        fogged.pixels[i] = pixels[i] * level / 15;
+        fogged.pixels[i + 1] = pixels[i + 1] * level / 15;
+        fogged.pixels[i + 2] = pixels[i + 2] * level / 15;
+        fogged.pixels[i + 3] = pixels[i + 3];
       }
+      fogged.updatePixels();
+      levels[level] = fogged;
     }
-    //if the lines are parallel
-    else if(rXs == 0 && qMp_Xr != 0){
+    return levels[level];
+  }
+
+  /**
+   * Get the pixels of a texture, reading them from the image the first time.
+   * @param {(p5.Image|Null)} texture The texture to read.
+   * @returns {(Uint8ClampedArray|Null)} The RGBA values of the pixels, null if there is no texture or it is not loaded yet.
+   */
+  getTexturePixels(texture){
+    if(texture === null || texture.width == 0){
       return null;
     }
-    //if the lines are not parallel
-    else if(rXs != 0){
-      var t = qMp.crossProduct(s) / rXs;
-      var u = qMp_Xr / rXs;
-      //if the two segments intersect
-      if(!(t < 0 || t > 1) && !(u < 0 || u > 1)){
-        return p.add(r.multiply(t));
+    if(texture.pixels.length != texture.width * texture.height * 4){
+      texture.loadPixels();
+    }
+    return texture.pixels;
+  }
+
+  /**
+   * Fill the buffer with the floor below the horizon and the ceiling or the sky above it, pixel by pixel.
+   * Each row of the floor is at a single distance from the camera, found from how far below the horizon it is.
+   * The ceiling is the same, mirrored above the horizon.
+   * @param {p5.Graphics} buffer The buffer to render in.
+   */
+  renderFloorAndCeiling(buffer){
+    var width = buffer.width;
+    var height = buffer.height;
+    var horizon = height / 2;
+    var eyeHeight = this.wallHeight / 2;
+    var focalLength = this.getFocalLength(width);
+    var planeRight = this.getRight().multiply(Math.tan(this.fov / 2));
+    var leftDirection = this.getForward().sub(planeRight);
+
+    var floorPixels = this.getTexturePixels(this.floorTexture);
+    var ceilingPixels = this.getTexturePixels(this.ceilingTexture);
+    var skyPixels = this.getTexturePixels(this.skyTexture);
+
+    //the sky only depends on the column, turning left moves it right
+    var skyColumns = [];
+    if(skyPixels !== null){
+      for(var x = 0; x < width; x++){
+        var planeX = 2 * (x + 0.5) / width - 1;
+        var angle = this.heading - Math.atan(planeX * Math.tan(this.fov / 2));
+        var turn = -angle / (2 * Math.PI);
+        skyColumns.push(Math.floor((turn - Math.floor(turn)) * this.skyTexture.width));
       }
-      else{
-        return null;
+    }
+
+    buffer.loadPixels();
+    var pixels = buffer.pixels;
+    for(var y = 0; y < height; y++){
+      var isFloor = y >= horizon;
+      var texture = isFloor ? this.floorTexture : this.ceilingTexture;
+      var texturePixels = isFloor ? floorPixels : ceilingPixels;
+      var color = isFloor ? this.floorColor : this.ceilingColor;
+      var useSky = !isFloor && skyPixels !== null;
+
+      var rowDistance = eyeHeight * focalLength / Math.abs(y + 0.5 - horizon);
+      var fog = this.getFog(rowDistance);
+      //world point seen by the leftmost pixel of the row, and how much it moves for each pixel to the right
+      var worldX = this.position.x + rowDistance * leftDirection.x + rowDistance * planeRight.x / width;
+      var worldY = this.position.y + rowDistance * leftDirection.y + rowDistance * planeRight.y / width;
+      var stepX = rowDistance * 2 * planeRight.x / width;
+      var stepY = rowDistance * 2 * planeRight.y / width;
+      var skyY = Math.floor(y / horizon * (useSky ? this.skyTexture.height : 0));
+
+      for(var x = 0; x < width; x++){
+        var index = (y * width + x) * 4;
+        if(useSky){
+          var skyIndex = (skyY * this.skyTexture.width + skyColumns[x]) * 4;
+          pixels[index] = skyPixels[skyIndex];
+          pixels[index + 1] = skyPixels[skyIndex + 1];
+          pixels[index + 2] = skyPixels[skyIndex + 2];
+        }
+        else if(texturePixels !== null){
+          var u = worldX / this.floorTextureScale;
+          var v = worldY / this.floorTextureScale;
+          var textureX = Math.floor((u - Math.floor(u)) * texture.width);
+          var textureY = Math.floor((v - Math.floor(v)) * texture.height);
+          var textureIndex = (textureY * texture.width + textureX) * 4;
+          pixels[index] = texturePixels[textureIndex] * fog;
+          pixels[index + 1] = texturePixels[textureIndex + 1] * fog;
+          pixels[index + 2] = texturePixels[textureIndex + 2] * fog;
+        }
+        else{
+          pixels[index] = color[0] * fog;
+          pixels[index + 1] = color[1] * fog;
+          pixels[index + 2] = color[2] * fog;
+        }
+        pixels[index + 3] = 255;
+        worldX += stepX;
+        worldY += stepY;
       }
     }
-    
+    buffer.updatePixels();
   }
 
   /**
-   * Draw the segment via the sketch of a canvas.
-   * @param {p5} sketch The sketch to draw on.
+   * Draw the column of the texture of a wall matching where the ray hit it.
+   * The texture covers the height from the floor to the ceiling, walls lower than that only showing their part of it.
+   * @param {p5.Graphics} buffer The buffer to draw on.
+   * @param {Column} column The column showing the wall.
+   * @param {Hit} hit The hit of the wall.
+   * @param {Number} x Left of the strip in the buffer.
+   * @param {Number} top Top of the strip in the buffer.
+   * @param {Number} stripHeight Height of the strip in the buffer.
    */
-  draw(sketch){
-    //Reverse to imitate a standard x,y coordinate system.
-    sketch.line(this.startPos.x, -this.startPos.y, this.endPos.x, -this.endPos.y);
-    // sketch.stroke(0,255,0);
-    // sketch.line(this.normalStart.x, -this.normalStart.y, this.normalEnd.x, -this.normalEnd.y);
-    // sketch.stroke(0,0,0);
+  drawTexturedStrip(buffer, column, hit, x, top, stripHeight){
+    var material = hit.object.material;
+    var texture = material.texture;
+    //the texture repeats every textureScale world units along the surface
+    var repeat = hit.object.getSurfaceDistance(hit) / material.textureScale;
+    var textureX = Math.floor((repeat - Math.floor(repeat)) * texture.width);
+    var heights = this.getWallHeights(hit.object);
+    var textureTop = (1 - heights[1] / this.wallHeight) * texture.height;
+    var textureHeight = (heights[1] - heights[0]) / this.wallHeight * texture.height;
+    buffer.image(texture, x, top, 1, stripHeight, textureX, textureTop, 1, textureHeight);
   }
-}
 
-class World{
-  constructor(objects = []){
-    this.objects = objects;
+  /**
+   * Get how much of the brightness is left through the fog.
+   * @param {Number} distance Distance from the camera plane.
+   * @returns {Number} The remaining brightness, between 0 and 1, a third being left at fogDistance.
+   */
+  getFog(distance){
+    return Math.exp(-distance / this.fogDistance * Math.log(3));
   }
 
-  addObject(object){
-    this.objects.push(object);
+  /**
+   * Get how bright a wall is drawn, darker far away and when seen at a grazing angle.
+   * @param {Column} column The column showing the wall.
+   * @param {Hit} hit The hit of the wall.
+   * @returns {Number} The brightness, between 0 and 1.
+   */
+  getShade(column, hit){
+    var fog = this.getFog(this.getPlaneDistance(column.ray, hit));
+    var facing = Math.abs(hit.normal.dotProduct(column.ray.direction));
+    return fog * (0.6 + 0.4 * facing);
   }
 
   /**
-   * Cast a ray in the world. (will find all of it's intersecting points)
-   * @param {Ray} ray The ray to cast.
+   * Draw the camera and its field of view via the sketch of a canvas.
+   * @param {p5} sketch The sketch to draw on.
    */
-  castRay(ray){
-    for(var i in this.objects){
-      var intersectingPoint = this.objects[i].rayIntersects(ray);
-      if(intersectingPoint !== null){
-        ray.addIntersectingPoint(intersectingPoint);
-      }
-    }
+  draw(sketch){
+    var left = this.getColumnDirection(-0.5, 1).normalized().multiply(40);
+    var right = this.getColumnDirection(0.5, 1).normalized().multiply(40);
+    sketch.push();
+    sketch.stroke(255, 255, 0);
+    sketch.noFill();
+    //Reverse to imitate a standard x,y coordinate system.
+    sketch.line(this.position.x, -this.position.y, this.position.x + left.x, -(this.position.y + left.y));
+    sketch.line(this.position.x, -this.position.y, this.position.x + right.x, -(this.position.y + right.y));
+    sketch.ellipse(this.position.x, -this.position.y, 8, 8);
+    sketch.pop();
   }
 }
 
@@ -284,51 +5489,338 @@ window.onload = function (){
   var canvasWidth = canvasContainer.offsetWidth;
   var canvasHeight = canvasContainer.offsetHeight;
 
-  var l_c1 = new Segment(new Vector2(-500, 250), new Vector2(-500, -250));
-  var l_c2 = new Segment(new Vector2(-500, -250), new Vector2(-300, -250));
-  var l_c3 = new Segment(new Vector2(-300, -250), new Vector2(-300, -200));
-  var l_c4 = new Segment(new Vector2(-300, -200), new Vector2(-450, -200));
-  var l_c5 = new Segment(new Vector2(-450, -200), new Vector2(-450, 200));
-  var l_c6 = new Segment(new Vector2(-450, 200), new Vector2(-300, 200));
-  var l_c7 = new Segment(new Vector2(-300, 200), new Vector2(-300, 250));
-  var l_c8 = new Segment(new Vector2(-300, 250), new Vector2(-500, 250));
+  //textures are loaded in the preload of the sketch
+  var brickMaterial = new Material({color: [160, 70, 50], textureScale: 64});
+  var stoneMaterial = new Material({color: [120, 120, 130], textureScale: 96});
+
+  var letterC = new Polygon([
+    new Vector2(-500, 250),
+    new Vector2(-500, -250),
+    new Vector2(-300, -250),
+    new Vector2(-300, -200),
+    new Vector2(-450, -200),
+    new Vector2(-450, 200),
+    new Vector2(-300, 200),
+    new Vector2(-300, 250)
+  ], {material: brickMaterial});
+  var pillar = new Circle(new Vector2(200, 100), 60, {material: stoneMaterial});
+  var mirrorMaterial = new Material({reflectivity: 1});
+  var glassMaterial = new Material({opacity: 0, ior: 1.5, reflectivity: 0.1, color: [150, 200, 255]});
+
+  var bowl = new Arc(new Vector2(350, -200), 80, Math.PI, 2 * Math.PI, {material: mirrorMaterial});
+  var mirror = new Segment(new Vector2(450, 100), new Vector2(550, 300), {material: mirrorMaterial});
+  var lens = new Circle(new Vector2(0, 250), 70, {material: glassMaterial});
+  //dispersion much stronger than real glass so the rainbow spreads visibly
+  var prismMaterial = new Material({opacity: 0, cauchy: [1.5, 0.02], reflectivity: 0.05, color: [200, 230, 255]});
+  var prism = new Polygon([new Vector2(100, -200), new Vector2(220, -200), new Vector2(160, -96)], {material: prismMaterial});
+  var wave = new BezierCurve([new Vector2(-150, -300), new Vector2(-50, -150), new Vector2(50, -450), new Vector2(150, -300)], 0.5, {top: 40});
 
-  var objects = [l_c1,l_c2,l_c3,l_c4,l_c5,l_c6,l_c7,l_c8];
+  //walls lower than the ceiling, seen over in the first person view but blocking the light like the others
+  var steps = [15, 30, 45].map((height, i) => new Segment(new Vector2(60 + i * 15, -40), new Vector2(60 + i * 15, -5), {material: stoneMaterial, top: height}));
+  var windowSill = new Segment(new Vector2(320, -60), new Vector2(320, 20), {material: brickMaterial, top: 30});
+  var windowLintel = new Segment(new Vector2(320, -60), new Vector2(320, 20), {material: brickMaterial, bottom: 70});
+
+  //press D to slide the door open or closed, the turnstile and the crate move by themselves
+  var door = new Segment(new Vector2(320, -140), new Vector2(320, -60), {material: stoneMaterial});
+  var turnstile = new Segment(new Vector2(-60, -100), new Vector2(20, -100), {material: stoneMaterial});
+  var crate = new Polygon([new Vector2(150, 280), new Vector2(180, 280), new Vector2(180, 310), new Vector2(150, 310)], {material: brickMaterial});
+
+  var objects = [letterC,pillar,bowl,wave,mirror,lens,prism,windowSill,windowLintel,door,turnstile,crate].concat(steps);
   var world = new World(objects);
-  var mousePos = new Vector2();
+  //press G to trace the rays through a uniform grid, then through a bounding volume hierarchy, then back to testing every object
+  var indexes = [null, new UniformGrid(), new BoundingVolumeHierarchy()];
+  var doorMotion = new SlidingMotion(door, new Vector2(0, -75), {duration: 1.5});
+  world.addMotion(doorMotion);
+  world.addMotion(new RotatingMotion(turnstile, new Vector2(-20, -100)));
+  world.addMotion(new KeyframedMotion(crate, [
+    {time: 0, offset: new Vector2(0, 0)},
+    {time: 3, offset: new Vector2(200, 0), angle: Math.PI / 2},
+    {time: 5, offset: new Vector2(200, -80), angle: Math.PI / 2},
+    {time: 8, offset: new Vector2(0, 0), angle: Math.PI}
+  ], {pivot: new Vector2(165, 295)}));
+  //the first light follows the mouse, the others are placed by clicking
+  var mouseLight = new LightSource();
+  world.addLight(mouseLight);
+  //press F to swap the mouse light for a flashlight aimed with the mouse or the arrow keys
+  var flashlight = new SpotLight(new Vector2(), {color: [255, 240, 200], fov: Math.PI / 4, falloff: 0.4, range: 1200, rayCount: 180});
+  //press A to swap the mouse light for a disc casting soft shadows
+  var areaLight = new AreaLight(new Vector2(), {color: [255, 250, 230], size: 25, samples: 32});
+  var activeMouseLight = mouseLight;
+  var qualitySlider = null;
+  var lightColors = [[255, 60, 60], [60, 255, 60], [60, 60, 255], [255, 200, 60], [200, 60, 255], [60, 220, 255]];
+  var draggedLight = null;
+  var rayMaxDistance = 2000;
+  //wavelengths emitted for each direction in spectral mode, null being plain white light
+  var spectralMode = false;
+  var wavelengths = [400, 450, 500, 550, 600, 650, 700];
+  //fill the lit area instead of drawing every ray
+  var visibilityMode = false;
+  //press C to go from the top-down view to the first person view, then to both side by side
+  var camera = new Camera(new Vector2(-100, 0));
+  //sprite images are loaded in the preload of the sketch
+  var markers = [new Sprite(new Vector2(-380, 0)), new Sprite(new Vector2(350, -100)), new Sprite(new Vector2(0, 400))];
+  for(var i in markers){
+    world.addSprite(markers[i]);
+  }
+  //rays are cast in a worker when the page allows it, pages opened from a file usually cannot start one
+  var rayWorker = null;
+  var frameArrived = false;
+  var viewModes = ["top", "first", "split"];
+  var viewMode = "top";
   var debugRay = 0;
 
   let myp5 = new p5(( sketch ) => {
+    /**
+     * Get the position of the mouse in world coordinates.
+     * @returns {Vector2} The position of the mouse.
+     */
+    var getMousePos = () => new Vector2(sketch.mouseX - canvasWidth / 2, -sketch.mouseY + canvasHeight / 2);
+
+    /**
+     * Replace the light controlled by the mouse, the new one taking the place of the old one.
+     * Switching to the light already controlled goes back to the plain mouse light.
+     * @param {LightSource} light The light to control with the mouse.
+     */
+    var switchMouseLight = (light) => {
+      var next = activeMouseLight === light ? mouseLight : light;
+      next.position = activeMouseLight.position;
+      world.lights[world.lights.indexOf(activeMouseLight)] = next;
+      activeMouseLight = next;
+    };
+
+    /**
+     * Move the light controlled by the mouse, the flashlight being aimed instead.
+     */
+    var followMouse = () => {
+      if(activeMouseLight === flashlight){
+        flashlight.pointAt(getMousePos());
+      }
+      else{
+        activeMouseLight.position = getMousePos();
+      }
+    };
+
+    sketch.preload = () => {
+      brickMaterial.texture = sketch.loadImage("textures/bricks.png");
+      stoneMaterial.texture = sketch.loadImage("textures/stone.png");
+      camera.floorTexture = sketch.loadImage("textures/floor.png");
+      camera.skyTexture = sketch.loadImage("textures/sky.png");
+      var markerImage = sketch.loadImage("textures/marker.png");
+      for(var i in markers){
+        markers[i].image = markerImage;
+      }
+    };
+
     sketch.setup = () => {
       sketch.createCanvas(canvasWidth, canvasHeight, sketch.WEBGL);
       sketch.noLoop();
+
+      try{
+        //without frames anymore, the redraw casts the rays in the sketch instead
+        rayWorker = new RayWorker("raycast.worker.js", (frame) => {
+          frameArrived = frame !== null;
+          sketch.redraw();
+        });
+      }
+      catch(error){
+        rayWorker = null;
+      }
+
+      //more samples give smoother soft shadows, at the cost of the frame rate
+      qualitySlider = sketch.createSlider(1, 128, areaLight.samples, 1);
+      qualitySlider.addClass("quality-slider");
+      qualitySlider.attribute("title", "Soft shadow quality");
+      qualitySlider.input(() => {
+        areaLight.samples = qualitySlider.value();
+        sketch.redraw();
+      });
+
+      //moving objects redraw the sketch by themselves, without waiting for the mouse
+      var tick = () => {
+        world.update(sketch.millis() / 1000);
+        if(world.dirty){
+          sketch.redraw();
+        }
+        window.requestAnimationFrame(tick);
+      };
+      window.requestAnimationFrame(tick);
     };
   
     sketch.draw = () => {
-      sketch.background(255);
+      world.dirty = false;
+      sketch.blendMode(sketch.BLEND);
+      sketch.background(0);
       sketch.smooth();
-      sketch.stroke(100,100,100);
+      sketch.stroke(60,60,60);
       sketch.line(-canvasWidth / 2, 0, canvasWidth / 2, 0);
       sketch.line(0, -canvasHeight / 2, 0, canvasHeight / 2);
-      sketch.stroke(0,0,0);
-
-      var rays = [];
 
       // for(var i in world.objects){
       //   world.objects[i].draw(sketch);
       // }
 
-      for(var a = 0; a < 2*Math.PI ; a += Math.PI / 180){
-        var newRay = new Ray(mousePos, new Vector2(Math.cos(a), Math.sin(a)));
-        rays.push(newRay);
-        world.castRay(newRay);
-        newRay.draw(sketch);
+      //the first person view covers the whole canvas, the top-down view would not be seen
+      if(viewMode !== "first"){
+        //lights add up where they overlap
+        sketch.blendMode(sketch.ADD);
+        for(var i in world.lights){
+          world.lights[i].maxDistance = rayMaxDistance;
+          world.lights[i].wavelengths = spectralMode ? wavelengths : null;
+        }
+        if(!visibilityMode && rayWorker !== null && rayWorker.error === null){
+          //the rays are cast by the worker, the latest frame it sent being drawn meanwhile
+          if(!frameArrived){
+            rayWorker.request(world, world.lights);
+          }
+          frameArrived = false;
+          if(rayWorker.frame !== null){
+            for(var i in rayWorker.frame.lights){
+              rayWorker.frame.lights[i].drawPaths(sketch, rayWorker.frame.paths[i]);
+            }
+          }
+        }
+        else{
+          for(var i in world.lights){
+            if(visibilityMode){
+              world.lights[i].drawLitArea(sketch, world);
+            }
+            else{
+              world.lights[i].drawRays(sketch, world);
+            }
+          }
+        }
+
+        sketch.blendMode(sketch.BLEND);
+        for(var i in world.lights){
+          if(world.lights[i] !== mouseLight){
+            world.lights[i].draw(sketch);
+          }
+        }
+
+        for(var i in world.sprites){
+          world.sprites[i].draw(sketch);
+        }
+        camera.draw(sketch);
+      }
+
+      if(viewMode === "first"){
+        camera.render(sketch, world, -canvasWidth / 2, -canvasHeight / 2, canvasWidth, canvasHeight);
+      }
+      else if(viewMode === "split"){
+        camera.render(sketch, world, 0, -canvasHeight / 2, canvasWidth / 2, canvasHeight);
       }
     };
 
     sketch.mouseMoved = () => {
-      mousePos = new Vector2(sketch.mouseX - canvasWidth / 2, -sketch.mouseY + canvasHeight / 2);
+      followMouse();
+      sketch.redraw();
+    }
+
+    //click on a light to drag it around, anywhere else to place a new light
+    sketch.mousePressed = () => {
+      var mousePos = getMousePos();
+      for(var i in world.lights){
+        if((world.lights[i] !== activeMouseLight || activeMouseLight === flashlight) && world.lights[i].position.distance(mousePos) < 10){
+          draggedLight = world.lights[i];
+        }
+      }
+      if(draggedLight === null){
+        world.addLight(new LightSource(mousePos, {color: lightColors[(world.lights.length - 1) % lightColors.length], rayCount: 180}));
+      }
+      sketch.redraw();
+    }
+
+    sketch.mouseDragged = () => {
+      if(draggedLight !== null){
+        draggedLight.position = getMousePos();
+      }
+      else{
+        followMouse();
+      }
+      sketch.redraw();
+    }
+
+    sketch.mouseReleased = () => {
+      draggedLight = null;
+    }
+
+    //press S to switch between white light and spectral rays, V to switch between rays and lit area, Backspace to remove the last placed light
+    //in flashlight mode, left and right turn the flashlight, up and down move it along its heading
+    //outside of the top-down view, the arrows do the same with the camera instead
+    sketch.keyPressed = () => {
+      //the arrows walk the camera when it is seen
+      if(viewMode !== "top"){
+        if(sketch.keyCode === sketch.LEFT_ARROW || sketch.keyCode === sketch.RIGHT_ARROW){
+          camera.rotate(sketch.keyCode === sketch.LEFT_ARROW ? Math.PI / 36 : -Math.PI / 36);
+          sketch.redraw();
+          return false;
+        }
+        else if(sketch.keyCode === sketch.UP_ARROW || sketch.keyCode === sketch.DOWN_ARROW){
+          camera.moveForward(sketch.keyCode === sketch.UP_ARROW ? 10 : -10);
+          sketch.redraw();
+          return false;
+        }
+      }
+      else if(activeMouseLight === flashlight){
+        if(sketch.keyCode === sketch.LEFT_ARROW || sketch.keyCode === sketch.RIGHT_ARROW){
+          flashlight.rotate(sketch.keyCode === sketch.LEFT_ARROW ? Math.PI / 36 : -Math.PI / 36);
+          sketch.redraw();
+          return false;
+        }
+        else if(sketch.keyCode === sketch.UP_ARROW || sketch.keyCode === sketch.DOWN_ARROW){
+          var step = Vector2.fromAngle(flashlight.heading, sketch.keyCode === sketch.UP_ARROW ? 10 : -10);
+          flashlight.position = flashlight.position.add(step);
+          sketch.redraw();
+          return false;
+        }
+      }
+
+      if(sketch.key === "c" || sketch.key === "C"){
+        viewMode = viewModes[(viewModes.indexOf(viewMode) + 1) % viewModes.length];
+        sketch.redraw();
+      }
+      else if(sketch.key === "f" || sketch.key === "F"){
+        switchMouseLight(flashlight);
+        sketch.redraw();
+      }
+      else if(sketch.key === "d" || sketch.key === "D"){
+        doorMotion.toggle();
+      }
+      else if(sketch.key === "g" || sketch.key === "G"){
+        world.setIndex(indexes[(indexes.indexOf(world.index) + 1) % indexes.length]);
+        sketch.redraw();
+      }
+      //press X to remove the object closest to the mouse
+      else if(sketch.key === "x" || sketch.key === "X"){
+        var nearest = world.findNearestObject(getMousePos(), 30);
+        if(nearest !== null){
+          world.removeObject(nearest);
+          sketch.redraw();
+        }
+      }
+      else if(sketch.key === "a" || sketch.key === "A"){
+        switchMouseLight(areaLight);
+        sketch.redraw();
+      }
+      else if(sketch.key === "s" || sketch.key === "S"){
+        spectralMode = !spectralMode;
+        sketch.redraw();
+      }
+      else if(sketch.key === "v" || sketch.key === "V"){
+        visibilityMode = !visibilityMode;
+        sketch.redraw();
+      }
+      else if(sketch.keyCode === sketch.BACKSPACE && world.lights.length > 1){
+        world.removeLight(world.lights[world.lights.length - 1]);
+        sketch.redraw();
+      }
+    }
+
+    //scroll to change how far the rays go
+    sketch.mouseWheel = (event) => {
+      rayMaxDistance = Math.max(10, rayMaxDistance - event.delta);
       sketch.redraw();
+      return false;
     }
   }, document.getElementById('p5sketch'));
 }
\ No newline at end of file
@@ -0,0 +1,24 @@
+//raycast.js sets the sketch up when the page loads, which never happens in a worker
+self.window = self;
+importScripts("raycast.js");
+
+/**
+ * World the rays are cast in, replaced whenever the page sends its objects again.
+ */
+var world = new World();
+
+/**
+ * Cast the rays of the lights sent by the page and send their paths back, packed so they are not copied.
+ * @param {MessageEvent} event The request, with its id, the serialized objects if some were added or removed, the ones that moved otherwise, and the serialized lights.
+ */
+self.onmessage = (event) => {
+  var message = event.data;
+  if(message.scene !== null){
+    world = World.fromJSON(message.scene);
+  }
+  for(var i in message.moved){
+    world.replaceObject(message.moved[i].position, World.objectFromJSON(message.moved[i].object));
+  }
+  var paths = message.lights.map((light) => LightSource.fromJSON(light).castPaths(world));
+  self.postMessage({id: message.id, paths: paths}, paths.map((array) => array.buffer));
+};
\ No newline at end of file
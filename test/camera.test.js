@@ -0,0 +1,60 @@
+const assert = require("assert");
+//arrays made by raycast.js come from another context, they are copied before being compared
+const {Vector2, Ray, Material, Polygon, Circle, Arc, BezierCurve, Segment, World, Camera} = require("./load.js")();
+
+/**
+ * Square polygon centered on the x axis.
+ * @param {Number} x X of the center.
+ * @param {Number} size Length of the sides.
+ * @param {Object} options Options of the polygon.
+ * @returns {Polygon} The square.
+ */
+function square(x, size, options){
+  var half = size / 2;
+  return new Polygon([new Vector2(x - half, -half), new Vector2(x + half, -half), new Vector2(x + half, half), new Vector2(x - half, half)], options);
+}
+
+//a low box in front of a taller one, in front of a wall going up to the ceiling
+var low = square(100, 20, {top: 30});
+var tall = square(200, 40, {top: 80});
+var wall = new Segment(new Vector2(400, -100), new Vector2(400, 100));
+var camera = new Camera(new Vector2(), {heading: 0});
+
+var column = camera.castColumns(new World([wall, tall, low]), 1)[0];
+assert.deepStrictEqual(Array.from(column.hits, (hit) => hit.object), [low, low, tall, tall, wall], "both sides of the partial walls are seen, up to the full wall");
+assert.deepStrictEqual(Array.from(column.hits, (hit) => Math.round(hit.distance)), [90, 110, 180, 220, 400]);
+assert.strictEqual(column.hits[1].frontFace, false, "the far side of the low box is seen from inside");
+assert.strictEqual(column.distance, 400);
+
+//a low pillar shows its far side too
+var pillar = new Circle(new Vector2(100, 0), 20);
+var ray = new Ray(new Vector2(), new Vector2(1, 0), {collectAll: true});
+new World([pillar]).findHits(ray);
+assert.deepStrictEqual(Array.from(ray.intersectingPoints, (hit) => hit.distance), [80, 120]);
+
+//rays only looking for the closest hit still get one hit per object
+ray = new Ray(new Vector2(), new Vector2(1, 0));
+new World([tall, low, pillar]).findHits(ray);
+assert.deepStrictEqual(Array.from(ray.intersectingPoints, (hit) => hit.object), [pillar, low, tall]);
+
+//glass lets the walls behind it be seen, and the column rays are neither reflected nor refracted
+var glass = new Segment(new Vector2(100, -100), new Vector2(100, 100), {material: new Material({opacity: 0, ior: 1.5, reflectivity: 0.1})});
+column = camera.castColumns(new World([wall, glass]), 1)[0];
+assert.deepStrictEqual(Array.from(column.hits, (hit) => hit.object), [glass, wall]);
+assert.strictEqual(column.distance, 400);
+assert.strictEqual(column.ray.reflectedRay, null);
+assert.strictEqual(column.ray.refractedRay, null);
+
+//round and curved walls can be lower than the ceiling too, and keep their heights once serialized
+var lowPillar = new Circle(new Vector2(100, 0), 20, {top: 30});
+var curb = new Arc(new Vector2(200, 0), 50, Math.PI / 2, 3 * Math.PI / 2, {bottom: 10, top: 20});
+var step = new BezierCurve([new Vector2(300, -50), new Vector2(250, 10), new Vector2(300, 50)], 0.5, {top: 40});
+column = camera.castColumns(new World([wall, step, curb, lowPillar]), 1)[0];
+assert.deepStrictEqual(Array.from(column.hits, (hit) => hit.object), [lowPillar, lowPillar, curb, step, wall]);
+assert.strictEqual(column.distance, 400);
+assert.deepStrictEqual(Array.from(camera.getWallHeights(curb)), [10, 20]);
+for(var object of [lowPillar, curb, step, new Circle(new Vector2(), 1)]){
+  var copy = object.constructor.fromJSON(JSON.parse(JSON.stringify(object.toJSON())));
+  assert.deepStrictEqual([copy.bottom, copy.top], [object.bottom, object.top]);
+}
+assert.throws(() => new Circle(new Vector2(), 1, {bottom: 30, top: 30}), /bottom must be lower than its top/);
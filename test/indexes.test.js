@@ -0,0 +1,11 @@
+const assert = require("assert");
+const {Benchmark} = require("./load.js")();
+
+//the uniform grid and both builds of the bvh find the same hits as testing every object
+for(var collectAll of [false, true]){
+  var results = new Benchmark({collectAll: collectAll}).runScene(300);
+  assert.deepStrictEqual(Array.from(results, (result) => result.index), ["brute force", "uniform grid", "bvh (median)", "bvh (sah)"]);
+  for(var result of results){
+    assert.strictEqual(result.mismatches, 0, result.index + " mismatches with collectAll " + collectAll);
+  }
+}
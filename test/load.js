@@ -0,0 +1,14 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Run raycast.js the way the page does, outside of a browser.
+ * The sketch is only set up when the page loads, which never happens here.
+ * @returns {Object} The classes declared by raycast.js, by name.
+ */
+module.exports = function loadRaycast(){
+  var context = vm.createContext({window: {}, console: console, performance: performance});
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "raycast.js"), "utf8"), context);
+  return vm.runInContext("({Vector2, Ray, Material, Segment, Circle, Arc, BezierCurve, Polyline, Polygon, World, Camera, SlidingMotion, RotatingMotion, KeyframedMotion, Benchmark, BoundingBox, Quadtree, UniformGrid, BoundingVolumeHierarchy, LightSource, Vector2Pool})", context);
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+const assert = require("assert");
+const {Vector2, Segment, World, SlidingMotion, RotatingMotion, KeyframedMotion} = require("./load.js")();
+
+/**
+ * Check that a segment is where it is expected, up to rounding errors.
+ * @param {Segment} segment The segment to check.
+ * @param {Number[][]} expected Expected start and end positions.
+ * @param {String} message Message shown when the check fails.
+ */
+function assertSegment(segment, expected, message){
+  var positions = [segment.startPos.toArray(), segment.endPos.toArray()];
+  assert.ok(segment.startPos.equals(Vector2.fromArray(expected[0]), 1e-9) && segment.endPos.equals(Vector2.fromArray(expected[1]), 1e-9), message + ": got " + JSON.stringify(positions));
+}
+
+//a sliding door opens along its axis, easing in and out
+var door = new Segment(new Vector2(0, 0), new Vector2(0, 100));
+var sliding = new SlidingMotion(door, new Vector2(100, 0), {duration: 2, open: true});
+var world = new World([door]);
+world.addMotion(sliding);
+world.update(0);
+assertSegment(door, [[0, 0], [0, 100]], "closed when the motion starts");
+world.update(1);
+assertSegment(door, [[50, 0], [50, 100]], "half open halfway through");
+world.update(1);
+world.update(1);
+assertSegment(door, [[50, 0], [50, 100]], "updating again at the same time does not move it further");
+world.update(2);
+assertSegment(door, [[100, 0], [100, 100]], "fully open");
+world.update(5);
+assertSegment(door, [[100, 0], [100, 100]], "stays open");
+sliding.toggle();
+world.update(6);
+assertSegment(door, [[50, 0], [50, 100]], "half closed");
+
+//a rotating object turns around its pivot from where it started, however many updates there were
+var blade = new Segment(new Vector2(10, 0), new Vector2(20, 0));
+world = new World([blade]);
+world.addMotion(new RotatingMotion(blade, new Vector2(), {speed: Math.PI / 2}));
+world.update(1);
+assertSegment(blade, [[0, 10], [0, 20]], "quarter turn after 1 second");
+world.update(1);
+assertSegment(blade, [[0, 10], [0, 20]], "updating again at the same time does not turn it further");
+world.update(3);
+assertSegment(blade, [[0, -10], [0, -20]], "three quarters of a turn after 3 seconds");
+world.update(1);
+assertSegment(blade, [[0, 10], [0, 20]], "back to the quarter turn when going back in time");
+
+//a keyframed object is turned around the pivot then moved, in between the keyframes
+var platform = new Segment(new Vector2(10, 0), new Vector2(20, 0));
+world = new World([platform]);
+world.addMotion(new KeyframedMotion(platform, [
+  {time: 2, offset: new Vector2(100, 0), angle: Math.PI / 2},
+  {time: 0, offset: new Vector2()}
+], {loop: false}));
+world.update(1);
+var half = Math.SQRT1_2;
+assertSegment(platform, [[50 + 10 * half, 10 * half], [50 + 20 * half, 20 * half]], "halfway between the keyframes");
+for(var i = 0; i < 10; i++){
+  world.update(1);
+}
+assertSegment(platform, [[50 + 10 * half, 10 * half], [50 + 20 * half, 20 * half]], "updating again at the same time does not move it further");
+world.update(2);
+assertSegment(platform, [[100, 10], [100, 20]], "on the last keyframe");
+world.update(10);
+assertSegment(platform, [[100, 10], [100, 20]], "stays on the last keyframe without looping");
+world.update(0);
+assertSegment(platform, [[10, 0], [20, 0]], "back on the first keyframe");
+
+//with a loop, the keyframes start again
+var looping = new KeyframedMotion(new Segment(new Vector2(10, 0), new Vector2(20, 0)), [
+  {time: 0, offset: new Vector2()},
+  {time: 2, offset: new Vector2(100, 0)}
+]);
+assert.ok(looping.getTransform(3).offset.equals(new Vector2(50, 0), 1e-9), "looped back halfway");
@@ -0,0 +1,86 @@
+const assert = require("assert");
+const {Vector2, Segment, Circle, BoundingBox, Quadtree} = require("./load.js")();
+
+/**
+ * Get a random point of a square around the origin.
+ * @param {Number} size Length of the side of the square.
+ * @returns {Vector2} The point.
+ */
+function randomPoint(size){
+  return new Vector2((Math.random() - 0.5) * size, (Math.random() - 0.5) * size);
+}
+
+/**
+ * Generate a short segment or a small circle somewhere in a square around the origin.
+ * @param {Number} size Length of the side of the square.
+ * @returns {Object} The object.
+ */
+function randomObject(size){
+  var position = randomPoint(size);
+  if(Math.random() < 0.2){
+    return new Circle(position, 1 + Math.random() * 20);
+  }
+  return new Segment(position, position.add(Vector2.fromAngle(Math.random() * 2 * Math.PI, 1 + Math.random() * 50)));
+}
+
+/**
+ * Check the quadtree answers the same as testing every object, for random rectangles and points.
+ * @param {Quadtree} quadtree The quadtree to check.
+ * @param {Object[]} objects Every object the quadtree should have.
+ * @param {String} message Message shown when a check fails.
+ */
+function assertMatchesLinearScan(quadtree, objects, message){
+  assert.strictEqual(quadtree.nodes.size, objects.length, message + ": object count");
+  for(var i = 0; i < 100; i++){
+    var corner = randomPoint(1200);
+    var box = new BoundingBox(corner, corner.add(new Vector2(Math.random() * 300, Math.random() * 300)));
+    var expected = objects.filter((object) => object.getBoundingBox().intersects(box));
+    var found = quadtree.queryRectangle(box);
+    assert.strictEqual(found.length, expected.length, message + ": rectangle query count");
+    assert.ok(expected.every((object) => found.includes(object)), message + ": rectangle query objects");
+
+    //objects at the same distance may be found in any order, so only the distance is compared
+    var point = randomPoint(1200);
+    var maxDistance = i % 2 == 0 ? Infinity : 50;
+    var nearest = quadtree.findNearest(point, maxDistance);
+    var nearestDistance = Math.min(...objects.map((object) => object.distanceToPoint(point)));
+    if(nearestDistance > maxDistance){
+      assert.strictEqual(nearest, null, message + ": nothing within maxDistance");
+    }
+    else{
+      assert.notStrictEqual(nearest, null, message + ": nearest object found");
+      assert.strictEqual(nearest.distanceToPoint(point), nearestDistance, message + ": nearest distance");
+    }
+  }
+}
+
+//a small leaf size makes the tree deep enough to have objects at every level
+var objects = [];
+for(var i = 0; i < 300; i++){
+  objects.push(randomObject(1000));
+}
+var quadtree = new Quadtree({maxObjects: 4});
+quadtree.build(objects);
+assertMatchesLinearScan(quadtree, objects, "after building");
+
+//inserting, some objects being outside of the root and building the tree again
+for(var i = 0; i < 50; i++){
+  var object = randomObject(i % 10 == 0 ? 2000 : 1000);
+  objects.push(object);
+  quadtree.insert(object);
+}
+assertMatchesLinearScan(quadtree, objects, "after inserting");
+
+//removing
+for(var i = 0; i < 100; i++){
+  quadtree.remove(objects.splice(Math.floor(Math.random() * objects.length), 1)[0]);
+}
+assertMatchesLinearScan(quadtree, objects, "after removing");
+
+//moving objects a little and far away
+for(var i = 0; i < 100; i++){
+  var object = objects[Math.floor(Math.random() * objects.length)];
+  object.translate(randomPoint(i % 2 == 0 ? 20 : 800));
+  quadtree.update(object);
+}
+assertMatchesLinearScan(quadtree, objects, "after updating");
@@ -0,0 +1,9 @@
+const fs = require("fs");
+const path = require("path");
+
+//every check is a script throwing when something is wrong
+var files = fs.readdirSync(__dirname).filter((file) => file.endsWith(".test.js"));
+for(var i in files){
+  require(path.join(__dirname, files[i]));
+  console.log("ok " + files[i]);
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+const assert = require("assert");
+const {Vector2, Vector2Pool, Ray, Segment, Circle, Arc, BezierCurve, Polyline, Polygon, World} = require("./load.js")();
+
+/**
+ * Check that a vector has the expected values, up to rounding errors.
+ * @param {Vector2} vector The vector to check.
+ * @param {Number[]} expected Expected x and y values.
+ * @param {String} message Message shown when the check fails.
+ */
+function assertVector(vector, expected, message){
+  assert.ok(vector.equals(Vector2.fromArray(expected), 1e-9), message + ": got [" + vector.toArray() + "]");
+}
+
+//equals is exact unless an epsilon is given
+var a = new Vector2(1, 2);
+assert.ok(a.equals(new Vector2(1, 2)));
+assert.ok(!a.equals(new Vector2(1, 2 + 1e-12)), "exact by default");
+assert.ok(a.equals(new Vector2(1 + 0.05, 2 - 0.05), 0.1), "within the epsilon on both dimensions");
+assert.ok(!a.equals(new Vector2(1, 2.2), 0.1), "outside of the epsilon on one dimension");
+
+//multiplyVect multiplies component by component
+assertVector(new Vector2(2, 3).multiplyVect(new Vector2(4, 5)), [8, 15], "component-wise product");
+
+//projecting onto a zero vector gives a zero vector instead of NaN
+assertVector(new Vector2(3, 4).project(new Vector2()), [0, 0], "projection onto [0,0]");
+assertVector(new Vector2(3, 4).project(new Vector2(2, 0)), [3, 0], "projection onto the x axis");
+
+//reflect mirrors the vector about the surface of the normal
+assertVector(new Vector2(1, -1).reflect(new Vector2(0, 1)), [1, 1], "reflection on a floor");
+assertVector(new Vector2(2, 0).reflect(new Vector2(-1, 0)), [-2, 0], "reflection on a facing wall");
+
+//rotate turns counterclockwise around the origin or a pivot
+assertVector(new Vector2(1, 0).rotate(Math.PI / 2), [0, 1], "quarter turn around the origin");
+assertVector(new Vector2(2, 0).rotate(Math.PI, new Vector2(1, 0)), [0, 0], "half turn around a pivot");
+
+//dot is the same as dotProduct
+assert.strictEqual(new Vector2(1, 2).dot(new Vector2(3, 4)), 11);
+assert.strictEqual(new Vector2(1, 2).dot(new Vector2(3, 4)), new Vector2(1, 2).dotProduct(new Vector2(3, 4)));
+
+//the other helpers
+assertVector(Vector2.fromAngle(Math.PI / 2, 2), [0, 2], "vector from an angle");
+assert.strictEqual(new Vector2(3, 4).length(), 5);
+assert.strictEqual(new Vector2(3, 4).lengthSquared(), 25);
+assert.strictEqual(new Vector2(1, 1).distanceSquared(new Vector2(4, 5)), 25);
+assert.strictEqual(new Vector2(0, -1).angle(), -Math.PI / 2);
+assertVector(new Vector2(0, 0).lerp(new Vector2(10, -4), 0.25), [2.5, -1], "interpolation");
+assertVector(new Vector2(1, 2).perpendicular(), [-2, 1], "quarter turn counterclockwise");
+assert.deepStrictEqual(Array.from(new Vector2(1, 2).toArray()), [1, 2]);
+
+//the in-place operations change the vector and return it, so they can be chained
+var v = new Vector2(1, 2);
+assert.strictEqual(v.set(3, 4), v);
+assertVector(v, [3, 4], "set");
+assert.strictEqual(v.copy(new Vector2(5, 6)), v);
+assertVector(v, [5, 6], "copy");
+var copy = v.clone();
+assert.notStrictEqual(copy, v);
+assertVector(copy, [5, 6], "clone");
+copy.x = 0;
+assertVector(v, [5, 6], "the clone is a different vector");
+assert.strictEqual(v.addSelf(new Vector2(1, -1)), v);
+assertVector(v, [6, 5], "addSelf");
+assert.strictEqual(v.subSelf(new Vector2(2, 2)), v);
+assertVector(v, [4, 3], "subSelf");
+assert.strictEqual(v.scaleSelf(2), v);
+assertVector(v, [8, 6], "scaleSelf");
+assert.strictEqual(v.divideSelf(2), v);
+assertVector(v, [4, 3], "divideSelf");
+assert.strictEqual(v.normalizeSelf(), v);
+assertVector(v, [0.8, 0.6], "normalizeSelf");
+assertVector(new Vector2().normalizeSelf(), [0, 0], "normalizing [0,0] leaves it as it is");
+assertVector(new Vector2(1, 1).addSelf(new Vector2(2, 3)).scaleSelf(2).subSelf(new Vector2(1, 1)), [5, 7], "chained operations");
+
+//the pool hands out the vectors given back to it, with the asked values
+var pool = new Vector2Pool();
+var a = pool.get(1, 2);
+assertVector(a, [1, 2], "new vector from an empty pool");
+assertVector(pool.get(), [0, 0], "[0,0] by default");
+pool.release(a);
+var b = pool.get(3, 4);
+assert.strictEqual(b, a, "the released vector is reused");
+assertVector(b, [3, 4], "the reused vector has the asked values");
+assert.notStrictEqual(pool.get(), a, "a vector is only handed out once");
+pool.release(new Vector2(), new Vector2());
+assert.strictEqual(pool.free.length, 2, "several vectors are released at once");
+
+//rays using a pool find the same hits as rays creating new vectors, and keep them when the pool is used again
+var world = new World([
+  new Segment(new Vector2(100, -50), new Vector2(120, 50)),
+  new Circle(new Vector2(200, 10), 30),
+  new Arc(new Vector2(300, 0), 40, Math.PI / 2, 3 * Math.PI / 2),
+  new BezierCurve([new Vector2(400, -60), new Vector2(350, 0), new Vector2(400, 60)]),
+  new Polyline([new Vector2(500, -60), new Vector2(480, 5), new Vector2(500, 60)]),
+  new Polygon([new Vector2(600, -40), new Vector2(650, 0), new Vector2(600, 40)])
+]);
+pool = new Vector2Pool();
+var pooledRays = [];
+for(var i = 0; i < 50; i++){
+  var origin = new Vector2(0, -15 + i / 2);
+  var direction = new Vector2(1, (i - 25) / 5000);
+  var ray = new Ray(origin, direction, {maxDistance: 1000, collectAll: true});
+  var pooledRay = new Ray(origin, direction, {maxDistance: 1000, collectAll: true, pool: pool});
+  world.findHits(ray);
+  world.findHits(pooledRay);
+  pooledRays.push({ray: pooledRay, expected: ray});
+}
+for(var i in pooledRays){
+  var expected = pooledRays[i].expected.intersectingPoints;
+  var hits = pooledRays[i].ray.intersectingPoints;
+  assert.strictEqual(new Set(expected.map((hit) => hit.object)).size, 6, "ray " + i + " hits every object");
+  assert.strictEqual(hits.length, expected.length, "ray " + i + " hit count");
+  for(var k in hits){
+    assert.strictEqual(hits[k].object, expected[k].object, "ray " + i + " object");
+    assert.strictEqual(hits[k].distance, expected[k].distance, "ray " + i + " distance");
+    assert.ok(hits[k].point.equals(expected[k].point), "ray " + i + " point");
+    assert.ok(hits[k].normal.equals(expected[k].normal), "ray " + i + " normal");
+    assert.strictEqual(hits[k].u, expected[k].u, "ray " + i + " u");
+    assert.strictEqual(hits[k].frontFace, expected[k].frontFace, "ray " + i + " front face");
+  }
+}
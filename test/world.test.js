@@ -0,0 +1,151 @@
+const assert = require("assert");
+const {Vector2, Ray, Material, Segment, Circle, Arc, BezierCurve, Polyline, Polygon, World, UniformGrid, BoundingVolumeHierarchy, LightSource} = require("./load.js")();
+
+//the lit area is null rather than a polygon of less than 3 vertices
+var empty = new World([]);
+assert.strictEqual(empty.computeVisibilityPolygon(new Vector2(), {ringSamples: 0}), null, "no ring samples and nothing around");
+assert.strictEqual(empty.computeVisibilityPolygon(new Vector2(), {ringSamples: 0, startAngle: 0, endAngle: 0.01}), null, "narrow light without ring samples reaching no vertex");
+
+var world = new World([new Segment(new Vector2(100, -100), new Vector2(100, 100))]);
+var litArea = world.computeVisibilityPolygon(new Vector2(), {ringSamples: 8});
+assert.notStrictEqual(litArea, null);
+assert.ok(litArea.containsPoint(new Vector2(50, 0)));
+assert.ok(!litArea.containsPoint(new Vector2(150, 0)), "the wall casts a shadow");
+
+//a world sent to a worker as JSON keeps its index and casts the same paths, also once a moved object is replaced
+var glass = new Material({opacity: 0.2, ior: 1.5, reflectivity: 0.1});
+var mirror = new Material({reflectivity: 0.9});
+var objects = [
+  new Segment(new Vector2(200, -150), new Vector2(200, 150), {material: mirror, top: 50}),
+  new Circle(new Vector2(-120, 40), 30, {material: glass}),
+  new Arc(new Vector2(0, -180), 60, 0, Math.PI),
+  new BezierCurve([new Vector2(-250, -100), new Vector2(-200, 0), new Vector2(-250, 100)]),
+  new Polygon([new Vector2(50, 80), new Vector2(110, 80), new Vector2(80, 140)], {material: glass})
+];
+var light = new LightSource(new Vector2(10, 5), {rayCount: 90});
+for(var index of [null, new UniformGrid({cellSize: 40}), new BoundingVolumeHierarchy({split: "median", leafSize: 2})]){
+  world = new World(objects.map((object) => World.objectFromJSON(object.toJSON())), {index: index});
+  var copy = World.fromJSON(JSON.parse(JSON.stringify(world.toJSON())));
+  assert.deepStrictEqual(copy.index === null ? null : copy.index.toJSON(), index === null ? null : index.toJSON());
+  if(index !== null){
+    assert.notStrictEqual(copy.index, index, "the copy builds its own index");
+  }
+  assert.deepStrictEqual(Array.from(light.castPaths(copy)), Array.from(light.castPaths(world)));
+
+  var version = world.version;
+  var moved = world.objects[1];
+  moved.translate(new Vector2(100, -20));
+  world.updateObject(moved);
+  var changes = JSON.parse(JSON.stringify(world.getMovedSince(version)));
+  assert.deepStrictEqual(changes.map((change) => change.position), [1]);
+  for(var change of changes){
+    copy.replaceObject(change.position, World.objectFromJSON(change.object));
+  }
+  assert.deepStrictEqual(Array.from(light.castPaths(copy)), Array.from(light.castPaths(world)));
+}
+
+//changing the index makes the world be sent again
+world = new World([]);
+var structureVersion = world.structureVersion;
+world.setIndex(new UniformGrid());
+assert.ok(world.structureVersion > structureVersion);
+
+/**
+ * Get a random point of a square around the origin.
+ * @param {Number} size Length of the side of the square.
+ * @returns {Vector2} The point.
+ */
+function randomPoint(size){
+  return new Vector2((Math.random() - 0.5) * size, (Math.random() - 0.5) * size);
+}
+
+//rays cast as a batch find the same closest hits as rays cast one by one
+objects = [];
+for(var i = 0; i < 40; i++){
+  var position = randomPoint(1000);
+  var angle = Math.random() * 2 * Math.PI;
+  objects.push(new Segment(position, position.add(Vector2.fromAngle(angle, 10 + Math.random() * 80))));
+  if(i % 4 == 0){
+    objects.push(new Circle(randomPoint(1000), 5 + Math.random() * 30));
+    objects.push(new Arc(randomPoint(1000), 10 + Math.random() * 50, angle, angle + 1 + Math.random() * 4));
+    objects.push(new Polygon([position, position.add(new Vector2(40, 0)), position.add(new Vector2(20, 30))]));
+    objects.push(new BezierCurve([position, position.add(new Vector2(30, 60)), position.add(new Vector2(60, -60)), position.add(new Vector2(90, 0))]));
+    objects.push(new Polyline([position, position.add(new Vector2(-50, 10)), position.add(new Vector2(-60, 60))]));
+  }
+}
+//an object that is none of the packed shapes is tested on its own
+var inner = new Segment(new Vector2(-300, -400), new Vector2(300, -350));
+var unpacked = {
+  rayIntersects(ray){
+    var hit = inner.rayIntersects(ray);
+    if(hit !== null){
+      hit.object = unpacked;
+    }
+    return hit;
+  },
+  getBoundingBox: () => inner.getBoundingBox(),
+  getVertices: (origin) => inner.getVertices(origin),
+  distanceToPoint: (point) => inner.distanceToPoint(point)
+};
+objects.push(unpacked);
+world = new World(objects);
+assert.deepStrictEqual(Array.from(world.getBuffers().unpackedIds), [objects.length - 1]);
+
+//the inputs are single precision and each ray has its own max distance
+var rayCount = 2000;
+var origins = new Float32Array(rayCount * 2);
+var directions = new Float32Array(rayCount * 2);
+var maxDistances = new Float32Array(rayCount);
+for(var i = 0; i < rayCount; i++){
+  var origin = randomPoint(1200);
+  var direction = Vector2.fromAngle(Math.random() * 2 * Math.PI);
+  origins.set([origin.x, origin.y], 2 * i);
+  directions.set([direction.x, direction.y], 2 * i);
+  maxDistances[i] = 100 + Math.random() * 1000;
+}
+var batch = world.castRays(origins, directions, {maxDistance: maxDistances});
+var batchRays = [];
+var hitCount = 0;
+for(var i = 0; i < rayCount; i++){
+  var createRay = () => new Ray(new Vector2(origins[2 * i], origins[2 * i + 1]), new Vector2(directions[2 * i], directions[2 * i + 1]), {maxDistance: maxDistances[i]});
+  var expected = world.findHits(createRay());
+  batchRays.push(createRay());
+  if(expected === null){
+    assert.strictEqual(batch.objectIds[i], -1, "ray " + i + " hits nothing");
+    assert.strictEqual(batch.distances[i], Infinity);
+    continue;
+  }
+  hitCount++;
+  assert.strictEqual(objects[batch.objectIds[i]], expected.object, "ray " + i + " hits the same object");
+  assert.ok(Math.abs(batch.distances[i] - expected.distance) < 1e-9, "ray " + i + " hits at the same distance");
+  assert.ok(Math.abs(batch.points[2 * i] - expected.point.x) < 1e-9 && Math.abs(batch.points[2 * i + 1] - expected.point.y) < 1e-9, "ray " + i + " hits the same point");
+}
+assert.ok(hitCount > rayCount / 10, "enough rays hit something");
+
+//the hit records made from the batch are the ones of the objects
+var hits = world.findClosestHits(batchRays);
+for(var i = 0; i < rayCount; i++){
+  var expected = world.findHits(new Ray(new Vector2(origins[2 * i], origins[2 * i + 1]), new Vector2(directions[2 * i], directions[2 * i + 1]), {maxDistance: maxDistances[i]}));
+  if(expected === null){
+    assert.strictEqual(hits[i], null, "ray " + i + " has no hit record");
+    continue;
+  }
+  assert.strictEqual(hits[i].object, expected.object, "ray " + i + " object");
+  assert.ok(Math.abs(hits[i].distance - expected.distance) < 1e-9, "ray " + i + " distance");
+  assert.ok(Math.abs(hits[i].u - expected.u) < 1e-6, "ray " + i + " u");
+  assert.ok(hits[i].normal.equals(expected.normal, 1e-6), "ray " + i + " normal");
+  assert.strictEqual(hits[i].frontFace, expected.frontFace, "ray " + i + " front face");
+}
+
+//the lit area cast as a batch without index is the one cast ray by ray through an index
+//rays aimed right at the joint of 2 edges go through it or not depending on rounding errors, so shapes made of edges are left out
+world = new World(objects.filter((object) => !(object instanceof Polyline || object instanceof BezierCurve)));
+for(var i = 0; i < 20; i++){
+  var origin = randomPoint(1000);
+  world.setIndex(null);
+  var batchArea = world.computeVisibilityPolygon(origin, {maxDistance: 800});
+  world.setIndex(new BoundingVolumeHierarchy());
+  var indexedArea = world.computeVisibilityPolygon(origin, {maxDistance: 800});
+  assert.strictEqual(batchArea.points.length, indexedArea.points.length, "lit area " + i + " vertex count");
+  assert.ok(batchArea.points.every((vertex, k) => vertex.equals(indexedArea.points[k], 1e-9)), "lit area " + i + " vertices");
+}